@@ -13,26 +13,8 @@
 
  * */
 
-// example MessagePack Encoder
-// https://github.com/msgpack/msgpack-javascript
-import * as MessagePack from "https://esm.sh/@msgpack/msgpack";
-
-export const msgpack = {
-	encode(data) {
-		try {
-			return MessagePack.encode(data);
-		} catch (error) {
-			throw new Error(`MessagePack encoding error: ${error.message}`);
-		}
-	},
-	decode(buffer) {
-		try {
-			return MessagePack.decode(buffer);
-		} catch (error) {
-			throw new Error(`MessagePack decoding error: ${error.message}`);
-		}
-	}
-};
+// MessagePack is in hwtr.formats.js without dependencies, registered as 'mp' with the formats
+export { codecMessagePack as msgpack } from './hwtr.formats.js';
 
 /*
 const mpSample = "Hello, world!"
@@ -42,29 +24,8 @@ const mpGood = mpSample === mpSampleDecode;
 console.log(`MessagePack looks ${ mpGood ? 'good':'bad' }`, {mpSample, mpSampleEncode, mpSampleDecode});
 */
 
-// https://github.com/hildjj/cbor2
-// in Deno
-import * as CBOR from "https://esm.sh/cbor2";
-// in cloudflare workers, nodejs
-// npm install cbor2
-// import * as CBOR from 'cbor2';
-
-export const cbor = {
-	encode(data) {
-		try {
-			return CBOR.encode(data);
-		} catch (error) {
-			throw new Error(`CBOR encoding error: ${error.message}`);
-		}
-	},
-	decode(buffer) {
-		try {
-			return CBOR.decode(buffer);
-		} catch (error) {
-			throw new Error(`CBOR decoding error: ${error.message}`);
-		}
-	}
-};
+// CBOR is in hwtr.formats.js without dependencies, registered as 'cb' with the formats
+export { codecCBOR as cbor } from './hwtr.formats.js';
 
 /*
 const cbSample = "Hello, world!"
@@ -9,6 +9,23 @@
  * JSON, format abbreviated 'j'
  * convert between JavaScript objects and JSON format text
  *
+ * JSON compressed, format abbreviated 'jz'
+ * JSON deflate compressed, or raw JSON when compression doesn't make it smaller
+ *
+ * CBOR, format abbreviated 'cb'
+ * RFC 8949 binary format with tags for the same types as JSON extended, the smallest tokens
+ *
+ * MessagePack, format abbreviated 'mp'
+ * binary format readable by standard MessagePack decoders, Date is the timestamp extension
+ * extension types for BigInt beyond 64 bits, Map, Set and TypedArray
+ *
+ * positional formats, positionalFormat(fields, {codec, extra})
+ * objects with known fields as arrays of values, tokens carry no field names, registered with a versioned name like 's1'
+ *
+ * schema formats, withSchema(codec, schema)
+ * any codec checking data against a schema when tokens are created and verified
+ * schemas are a JSON Schema subset or Standard Schema (Zod, Valibot, ArkType and others)
+ *
  * JSON extended, format abbreviated 'jx'
  * converting between JavaScript objects and JSON format text
  * preserving additional types:
@@ -21,9 +38,18 @@
 
 ```js
 	import Hwtr from './hwtr.js';
-	import { formats, codecJSON, codecJSONextended } from './hwtr.formats.js';
+	import { formats, codecJSON, codecJSONextended, codecJSONcompressed, codecCBOR, codecMessagePack, withSchema, positionalFormat } from './hwtr.formats.js';
 	Hwtr.registerFormat('jx', formats.jx);
-
+	Hwtr.registerFormat('jz', formats.jz);
+	Hwtr.registerFormat('cb', formats.cb);
+	Hwtr.registerFormat('mp', formats.mp);
+	Hwtr.registerFormat('s1', positionalFormat(['userId', 'role', 'claims']));
+	Hwtr.registerFormat('user1', withSchema(formats.jx, {
+		type: 'object',
+		required: ['id', 'roles'],
+		properties: { id: {type: 'integer'}, roles: {type: 'array', items: {type: 'string'}}, since: {type: 'date'} },
+		additionalProperties: false
+	}));
 	
 ```
  * 
@@ -32,7 +58,7 @@
  * converting between them ({data} <-> buffer).
  *
  * format names start with a letter followed by a mix of alphanumerics (A-Za-z0-9, max 10)
- * the library provides formats 'j' and 'jx'
+ * the library provides formats 'j', 'jx', 'jz', 'cb' and 'mp'
  * because every token has the format abbreviation embedded in it, 
  * short names have a positive impact on performance, 
  *
@@ -61,6 +87,8 @@
  *
  * */
 
+import { HwtrFormatError } from './hwtr.js';
+
 const textEncoder = new TextEncoder();
 const textDecoder = new TextDecoder();
 
@@ -226,8 +254,1130 @@ export const codecJSONextended = {
 	},
 };
 
+/* JSON compressed registered as 'jz', for medium and larger payloads
+ * the first byte is a flag, 1 for deflate-raw compressed JSON, 0 for raw JSON when compression doesn't help
+ * async using CompressionStream with deflate-raw (Deno, Nodejs 20.12+ or 21.2+, browsers, Cloudflare Workers)
+ * without it encode and decode throw HwtrFormatError HWT_ENCODING_FAILED or HWT_DECODING_FAILED
+ * hidden data isn't in the token so it's raw JSON, see encodeHidden */
+const JZ_RAW = 0;
+const JZ_DEFLATE = 1;
+// decompressed size limit, deflate can expand a max size token to megabytes
+const JZ_MAX_BYTES = 262144;
+
+// CompressionStream or DecompressionStream for deflate-raw
+function deflateStream(name, code){
+	try {
+		return new globalThis[name]('deflate-raw');
+	} catch (error) {
+		throw new HwtrFormatError(`jz requires ${ name } with deflate-raw, Nodejs 20.12+ or 21.2+`, code, {cause: error});
+	}
+}
+
+async function transform(bytes, stream, maxBytes=Infinity){
+	const reader = new Blob([bytes]).stream().pipeThrough(stream).getReader();
+	const chunks = [];
+	let size = 0;
+	for(let read = await reader.read(); !read.done; read = await reader.read()){
+		size += read.value.byteLength;
+		if(size > maxBytes){
+			await reader.cancel();
+			throw new Error(`jz decompressed size exceeds ${ maxBytes } bytes`);
+		}
+		chunks.push(read.value);
+	}
+	const result = new Uint8Array(size);
+	let offset = 0;
+	for(const chunk of chunks){
+		result.set(chunk, offset);
+		offset += chunk.byteLength;
+	}
+	return result;
+}
+
+export const codecJSONcompressed = {
+	json: codecJSON,
+	format: 'jz',
+	maxBytes: JZ_MAX_BYTES,
+	// returns Promise<Uint8Array> flag byte and JSON bytes
+	async encode(data){
+		const json = this.json.encode(data);
+		const compressed = await transform(json, deflateStream('CompressionStream', 'HWT_ENCODING_FAILED'));
+		const raw = compressed.byteLength >= json.byteLength;
+		const body = raw ? json : compressed;
+		const bytes = new Uint8Array(body.byteLength + 1);
+		bytes[0] = raw ? JZ_RAW : JZ_DEFLATE;
+		bytes.set(body, 1);
+		return bytes;
+	},
+	encodeHidden(data){
+		return this.json.encode(data);
+	},
+	async decode(buffer){
+		const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+		const body = bytes.subarray(1);
+		if(bytes[0] === JZ_RAW){
+			return this.json.decode(body);
+		}
+		if(bytes[0] === JZ_DEFLATE){
+			return this.json.decode( await transform(body, deflateStream('DecompressionStream', 'HWT_DECODING_FAILED'), this.maxBytes) );
+		}
+		throw new Error(`jz unknown flag ${ bytes[0] }`);
+	},
+};
+
+/* binary formats write to a growing buffer {bytes, view, length} and read from {bytes, view, at}
+ * nesting is limited for circular references and crafted input */
+const MAX_DEPTH = 512;
+const LITTLE_ENDIAN = new Uint8Array(new Uint16Array([1]).buffer)[0] === 1;
+
+// own property like JSON.parse, not the prototype for __proto__
+function setOwn(object, key, value){
+	Object.defineProperty(object, key, {value, enumerable: true, writable: true, configurable: true});
+}
+
+function writer(){
+	const bytes = new Uint8Array(256);
+	return {bytes, view: new DataView(bytes.buffer), length: 0};
+}
+
+function reader(buffer){
+	const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer);
+	return {bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), at: 0};
+}
+
+function reserve(out, size){
+	if(out.length + size > out.bytes.length){
+		const bytes = new Uint8Array(Math.max(out.bytes.length * 2, out.length + size));
+		bytes.set(out.bytes.subarray(0, out.length));
+		out.bytes = bytes;
+		out.view = new DataView(bytes.buffer);
+	}
+	const at = out.length;
+	out.length += size;
+	return at;
+}
+
+function writeByte(out, byte){
+	const at = reserve(out, 1);
+	out.bytes[at] = byte;
+}
+
+function readBytes(state, n){
+	const end = state.at + n;
+	if(end > state.bytes.length){
+		throw new Error(`unexpected end`);
+	}
+	const bytes = state.bytes.subarray(state.at, end);
+	state.at = end;
+	return bytes;
+}
+
+// big endian bytes for a positive BigInt
+function bigIntToBytes(n){
+	let hex = n.toString(16);
+	if(hex.length % 2){
+		hex = '0' + hex;
+	}
+	const bytes = new Uint8Array(hex.length / 2);
+	for(let i = 0; i < bytes.length; i++){
+		bytes[i] = parseInt(hex.slice(i * 2, i * 2 + 2), 16);
+	}
+	return bytes;
+}
+
+function bytesToBigInt(bytes){
+	let n = 0n;
+	for(const byte of bytes){
+		n = (n << 8n) | BigInt(byte);
+	}
+	return n;
+}
+
+// typed arrays in the other byte order, in place
+function swapBytes(bytes, size){
+	for(let i = 0; i < bytes.length; i += size){
+		bytes.subarray(i, i + size).reverse();
+	}
+	return bytes;
+}
+
+/* CBOR https://www.rfc-editor.org/rfc/rfc8949 with tags for the same types as jx:
+ * Date 1 (epoch seconds), BigInt 2 and 3 (bignums), Set 258, Map 259 and typed arrays 64-87 (RFC 8746)
+ * ArrayBuffer is a byte string, objects are maps with text keys, maps with other keys decode as Map */
+// big endian tags, little endian is +4 for more than 1 byte per element
+const CBOR_TYPED_ARRAY_TAGS = {
+	Uint8Array: 64,
+	Uint16Array: 65,
+	Uint32Array: 66,
+	BigUint64Array: 67,
+	Uint8ClampedArray: 68,
+	Int8Array: 72,
+	Int16Array: 73,
+	Int32Array: 74,
+	BigInt64Array: 75,
+	Float16Array: 80,
+	Float32Array: 81,
+	Float64Array: 82,
+};
+const CBOR_TYPED_ARRAYS = {};
+for(const [name, tag] of Object.entries(CBOR_TYPED_ARRAY_TAGS)){
+	CBOR_TYPED_ARRAYS[tag] = name;
+	if(tag & 3 || tag & 16){
+		CBOR_TYPED_ARRAYS[tag + 4] = name;
+	}
+}
+
+// the initial byte with major type and argument, shortest form
+function cborHead(out, major, n){
+	const type = major << 5;
+	let at;
+	if(n < 24){
+		writeByte(out, type | n);
+	}else if(n < 0x100){
+		at = reserve(out, 2);
+		out.bytes[at] = type | 24;
+		out.bytes[at + 1] = n;
+	}else if(n < 0x10000){
+		at = reserve(out, 3);
+		out.bytes[at] = type | 25;
+		out.view.setUint16(at + 1, n);
+	}else if(n < 0x100000000){
+		at = reserve(out, 5);
+		out.bytes[at] = type | 26;
+		out.view.setUint32(at + 1, n);
+	}else{
+		at = reserve(out, 9);
+		out.bytes[at] = type | 27;
+		out.view.setBigUint64(at + 1, BigInt(n));
+	}
+}
+
+function cborBytes(out, major, bytes){
+	cborHead(out, major, bytes.length);
+	const at = reserve(out, bytes.length);
+	out.bytes.set(bytes, at);
+}
+
+function cborNumber(out, value){
+	let at;
+	if(Number.isSafeInteger(value) && !Object.is(value, -0)){
+		return value < 0 ? cborHead(out, 1, -1 - value) : cborHead(out, 0, value);
+	}
+	if(!Number.isFinite(value)){
+		// half precision NaN and Infinity
+		at = reserve(out, 3);
+		out.bytes[at] = 0xf9;
+		out.view.setUint16(at + 1, Number.isNaN(value) ? 0x7e00 : value > 0 ? 0x7c00 : 0xfc00);
+	}else if(Math.fround(value) === value){
+		at = reserve(out, 5);
+		out.bytes[at] = 0xfa;
+		out.view.setFloat32(at + 1, value);
+	}else{
+		at = reserve(out, 9);
+		out.bytes[at] = 0xfb;
+		out.view.setFloat64(at + 1, value);
+	}
+}
+
+function cborBigInt(out, value){
+	const negative = value < 0n;
+	cborHead(out, 6, negative ? 3 : 2);
+	cborBytes(out, 2, bigIntToBytes(negative ? -1n - value : value));
+}
+
+function cborEncode(out, value, depth){
+	if(depth > MAX_DEPTH){
+		throw new Error(`nesting deeper than ${ MAX_DEPTH }, circular reference`);
+	}
+	switch(typeof value){
+	case 'number':
+		return cborNumber(out, value);
+	case 'string':
+		return cborBytes(out, 3, textEncoder.encode(value));
+	case 'boolean':
+		return writeByte(out, value ? 0xf5 : 0xf4);
+	case 'undefined':
+		return writeByte(out, 0xf7);
+	case 'bigint':
+		return cborBigInt(out, value);
+	case 'object':
+		break;
+	default:
+		throw new Error(`unsupported type ${ typeof value }`);
+	}
+	depth++;
+	if(value === null){
+		writeByte(out, 0xf6);
+	}else if(Array.isArray(value)){
+		cborHead(out, 4, value.length);
+		for(const item of value){
+			cborEncode(out, item, depth);
+		}
+	}else if(value instanceof Date){
+		cborHead(out, 6, 1);
+		cborNumber(out, value.getTime() / 1000);
+	}else if(value instanceof Map){
+		cborHead(out, 6, 259);
+		cborHead(out, 5, value.size);
+		for(const [key, item] of value){
+			cborEncode(out, key, depth);
+			cborEncode(out, item, depth);
+		}
+	}else if(value instanceof Set){
+		cborHead(out, 6, 258);
+		cborHead(out, 4, value.size);
+		for(const item of value){
+			cborEncode(out, item, depth);
+		}
+	}else if(value instanceof ArrayBuffer){
+		cborBytes(out, 2, new Uint8Array(value));
+	}else if(ArrayBuffer.isView(value) && !(value instanceof DataView)){
+		const tag = CBOR_TYPED_ARRAY_TAGS[ value.constructor.name ] ?? 64;
+		cborHead(out, 6, tag + (LITTLE_ENDIAN && value.BYTES_PER_ELEMENT > 1 ? 4 : 0));
+		cborBytes(out, 2, new Uint8Array(value.buffer, value.byteOffset, value.byteLength));
+	}else{
+		const keys = Object.keys(value);
+		cborHead(out, 5, keys.length);
+		for(const key of keys){
+			cborBytes(out, 3, textEncoder.encode(key));
+			cborEncode(out, value[key], depth);
+		}
+	}
+}
+
+function float16(half){
+	const exponent = (half >> 10) & 0x1f;
+	const fraction = half & 0x3ff;
+	const value = exponent === 0 ? fraction * 2 ** -24
+		: exponent === 31 ? (fraction ? NaN : Infinity)
+		: (fraction + 1024) * 2 ** (exponent - 25);
+	return half & 0x8000 ? -value : value;
+}
+
+// the argument for the initial byte, -1 for indefinite length
+function cborArgument(state, info){
+	const { view } = state;
+	let n;
+	if(info < 24){
+		return info;
+	}else if(info === 24){
+		n = view.getUint8(state.at);
+		state.at += 1;
+	}else if(info === 25){
+		n = view.getUint16(state.at);
+		state.at += 2;
+	}else if(info === 26){
+		n = view.getUint32(state.at);
+		state.at += 4;
+	}else if(info === 27){
+		n = view.getBigUint64(state.at);
+		state.at += 8;
+		if(n <= BigInt(Number.MAX_SAFE_INTEGER)){
+			n = Number(n);
+		}
+	}else if(info === 31){
+		return -1;
+	}else{
+		throw new Error(`invalid additional information ${ info }`);
+	}
+	return n;
+}
+
+function cborLength(n){
+	if(typeof n === 'bigint'){
+		throw new Error(`length too large`);
+	}
+	return n;
+}
+
+function cborIsBreak(state){
+	if(state.view.getUint8(state.at) === 0xff){
+		state.at++;
+		return true;
+	}
+	return false;
+}
+
+// byte and text strings, indefinite length strings are chunks of the same major type
+function cborString(state, major, n){
+	if(n === -1){
+		const chunks = [];
+		while(!cborIsBreak(state)){
+			const initial = state.view.getUint8(state.at++);
+			if(initial >> 5 !== major){
+				throw new Error(`invalid string chunk`);
+			}
+			chunks.push(cborString(state, major, cborLength(cborArgument(state, initial & 31))));
+		}
+		if(major === 3){
+			return chunks.join('');
+		}
+		const bytes = new Uint8Array(chunks.reduce((size, chunk) => size + chunk.byteLength, 0));
+		let at = 0;
+		for(const chunk of chunks){
+			bytes.set(new Uint8Array(chunk), at);
+			at += chunk.byteLength;
+		}
+		return bytes.buffer;
+	}
+	const bytes = readBytes(state, n);
+	return major === 3 ? textDecoder.decode(bytes) : bytes.slice().buffer;
+}
+
+function cborEntries(state, n, depth){
+	const entries = [];
+	for(let i = 0; n === -1 ? !cborIsBreak(state) : i < n; i++){
+		entries.push([cborDecode(state, depth), cborDecode(state, depth)]);
+	}
+	return entries;
+}
+
+function cborTypedArray(tag, buffer){
+	const TypedArray = globalThis[ CBOR_TYPED_ARRAYS[tag] ] ?? Uint8Array;
+	const size = TypedArray.BYTES_PER_ELEMENT;
+	if(size > 1 && Boolean(tag & 4) !== LITTLE_ENDIAN){
+		swapBytes(new Uint8Array(buffer), size);
+	}
+	return new TypedArray(buffer);
+}
+
+function cborTag(state, tag, depth){
+	if(tag === 259){
+		const initial = state.view.getUint8(state.at++);
+		if(initial >> 5 !== 5){
+			throw new Error(`tag 259 requires a map`);
+		}
+		return new Map(cborEntries(state, cborLength(cborArgument(state, initial & 31)), depth));
+	}
+	const value = cborDecode(state, depth);
+	if(tag === 0 && typeof value === 'string'){
+		return new Date(value);
+	}
+	if(tag === 1 && typeof value === 'number'){
+		return new Date(Number.isFinite(value) ? Math.round(value * 1000) : NaN);
+	}
+	if((tag === 2 || tag === 3) && value instanceof ArrayBuffer){
+		const n = bytesToBigInt(new Uint8Array(value));
+		return tag === 3 ? -1n - n : n;
+	}
+	if(tag === 258 && Array.isArray(value)){
+		return new Set(value);
+	}
+	if(CBOR_TYPED_ARRAYS[tag] && value instanceof ArrayBuffer){
+		return cborTypedArray(tag, value);
+	}
+	// unknown tags like 55799 (self-described CBOR) return the tagged value
+	return value;
+}
+
+function cborDecode(state, depth){
+	if(depth > MAX_DEPTH){
+		throw new Error(`nesting deeper than ${ MAX_DEPTH }`);
+	}
+	const initial = state.view.getUint8(state.at++);
+	const major = initial >> 5;
+	const info = initial & 31;
+	if(major === 7){
+		let value;
+		switch(info){
+		case 20: return false;
+		case 21: return true;
+		case 22: return null;
+		case 23: return undefined;
+		case 25:
+			value = float16(state.view.getUint16(state.at));
+			state.at += 2;
+			return value;
+		case 26:
+			value = state.view.getFloat32(state.at);
+			state.at += 4;
+			return value;
+		case 27:
+			value = state.view.getFloat64(state.at);
+			state.at += 8;
+			return value;
+		}
+		throw new Error(`unsupported simple value ${ info }`);
+	}
+	const n = cborArgument(state, info);
+	if(n === -1 && (major < 2 || major > 5)){
+		throw new Error(`invalid indefinite length`);
+	}
+	depth++;
+	switch(major){
+	case 0:
+		return n;
+	case 1:
+		return typeof n === 'bigint' ? -1n - n : -1 - n;
+	case 2:
+	case 3:
+		return cborString(state, major, cborLength(n));
+	case 4: {
+		const list = [];
+		for(let i = 0; n === -1 ? !cborIsBreak(state) : i < cborLength(n); i++){
+			list.push(cborDecode(state, depth));
+		}
+		return list;
+	}
+	case 5: {
+		const entries = cborEntries(state, cborLength(n), depth);
+		if(!entries.every(([key]) => typeof key === 'string')){
+			return new Map(entries);
+		}
+		const object = {};
+		for(const [key, value] of entries){
+			setOwn(object, key, value);
+		}
+		return object;
+	}
+	default:
+		return cborTag(state, typeof n === 'bigint' ? -1 : n, depth);
+	}
+}
+
+/* CBOR registered as 'cb', smaller tokens than j and jx with the same types as jx */
+export const codecCBOR = {
+	format: 'cb',
+	// returns Uint8Array buffer
+	encode(data){
+		const out = writer();
+		try {
+			cborEncode(out, data, 0);
+		} catch (error) {
+			throw new Error(`CBOR encoding error: ${ error.message }`);
+		}
+		return out.bytes.slice(0, out.length);
+	},
+	// returns original data
+	decode(buffer){
+		const state = reader(buffer);
+		let data;
+		try {
+			data = cborDecode(state, 0);
+		} catch (error) {
+			throw new Error(`CBOR decoding error: ${ error.message }`);
+		}
+		if(state.at !== state.bytes.length){
+			throw new Error(`CBOR decoding error: ${ state.bytes.length - state.at } bytes after the data`);
+		}
+		return data;
+	}
+};
+
+/* MessagePack https://github.com/msgpack/msgpack/blob/master/spec.md
+ * Date is the timestamp extension -1, safe integers up to 64 bits are integers so other decoders read them,
+ * int 64 and uint 64 decode as Number in the safe integer range and as BigInt beyond it
+ * so BigInt beyond the safe integers and within 64 bits is int 64 or uint 64, other BigInt is extension 1
+ * extension types for the other jx types: 1 BigInt, 2 Set, 3 Map, 16-27 typed arrays (little endian)
+ * ArrayBuffer is bin, objects are maps with str keys, maps with other keys decode as Map
+ * undefined object members are skipped like JSON, other undefined is nil */
+const MP_EXT_TIMESTAMP = -1;
+const MP_EXT_BIGINT = 1;
+const MP_EXT_SET = 2;
+const MP_EXT_MAP = 3;
+// plus the jx typed array code, ie Uint8Array is 17
+const MP_EXT_TYPED_ARRAY = 16;
+const MAX_INT64 = 2n ** 63n - 1n;
+const MIN_INT64 = -(2n ** 63n);
+const MAX_UINT64 = 2n ** 64n - 1n;
+const MAX_SAFE = BigInt(Number.MAX_SAFE_INTEGER);
+const MIN_SAFE = BigInt(Number.MIN_SAFE_INTEGER);
+
+// the type byte then 1, 2 or 4 bytes for the size, types are [8 bit, 16 bit, 32 bit]
+function mpHead(out, size, types){
+	let at;
+	if(size < 0x100 && types[0]){
+		at = reserve(out, 2);
+		out.bytes[at] = types[0];
+		out.bytes[at + 1] = size;
+	}else if(size < 0x10000){
+		at = reserve(out, 3);
+		out.bytes[at] = types[1];
+		out.view.setUint16(at + 1, size);
+	}else{
+		at = reserve(out, 5);
+		out.bytes[at] = types[2];
+		out.view.setUint32(at + 1, size);
+	}
+}
+
+function mpBytes(out, bytes){
+	const at = reserve(out, bytes.length);
+	out.bytes.set(bytes, at);
+}
+
+function mpString(out, value){
+	const bytes = textEncoder.encode(value);
+	if(bytes.length < 32){
+		writeByte(out, 0xa0 | bytes.length);
+	}else{
+		mpHead(out, bytes.length, [0xd9, 0xda, 0xdb]);
+	}
+	mpBytes(out, bytes);
+}
+
+function mpInteger(out, value){
+	let at;
+	if(value >= 0){
+		if(value < 0x80){
+			return writeByte(out, value);
+		}
+		if(value < 0x100){
+			at = reserve(out, 2);
+			out.bytes[at] = 0xcc;
+			out.bytes[at + 1] = value;
+		}else if(value < 0x10000){
+			at = reserve(out, 3);
+			out.bytes[at] = 0xcd;
+			out.view.setUint16(at + 1, value);
+		}else if(value < 0x100000000){
+			at = reserve(out, 5);
+			out.bytes[at] = 0xce;
+			out.view.setUint32(at + 1, value);
+		}else{
+			at = reserve(out, 9);
+			out.bytes[at] = 0xcf;
+			out.view.setBigUint64(at + 1, BigInt(value));
+		}
+	}else if(value >= -32){
+		writeByte(out, value & 0xff);
+	}else if(value >= -0x80){
+		at = reserve(out, 2);
+		out.bytes[at] = 0xd0;
+		out.view.setInt8(at + 1, value);
+	}else if(value >= -0x8000){
+		at = reserve(out, 3);
+		out.bytes[at] = 0xd1;
+		out.view.setInt16(at + 1, value);
+	}else if(value >= -0x80000000){
+		at = reserve(out, 5);
+		out.bytes[at] = 0xd2;
+		out.view.setInt32(at + 1, value);
+	}else{
+		at = reserve(out, 9);
+		out.bytes[at] = 0xd3;
+		out.view.setBigInt64(at + 1, BigInt(value));
+	}
+}
+
+function mpNumber(out, value){
+	let at;
+	if(Number.isSafeInteger(value) && !Object.is(value, -0)){
+		return mpInteger(out, value);
+	}
+	if(Object.is(Math.fround(value), value)){
+		at = reserve(out, 5);
+		out.bytes[at] = 0xca;
+		out.view.setFloat32(at + 1, value);
+	}else{
+		at = reserve(out, 9);
+		out.bytes[at] = 0xcb;
+		out.view.setFloat64(at + 1, value);
+	}
+}
+
+// the extension header, fixext for 1, 2, 4, 8 and 16 bytes
+function mpExtension(out, type, size){
+	const fixed = {1: 0xd4, 2: 0xd5, 4: 0xd6, 8: 0xd7, 16: 0xd8}[size];
+	if(fixed){
+		writeByte(out, fixed);
+	}else{
+		mpHead(out, size, [0xc7, 0xc8, 0xc9]);
+	}
+	const at = reserve(out, 1);
+	out.view.setInt8(at, type);
+}
+
+// 32 bit seconds, 64 bit with nanoseconds and 34 bit seconds, or 96 bit
+function mpTimestamp(out, date){
+	const time = date.getTime();
+	if(!Number.isFinite(time)){
+		throw new Error(`invalid Date`);
+	}
+	const seconds = Math.floor(time / 1000);
+	const nanoseconds = (time - seconds * 1000) * 1e6;
+	let at;
+	if(seconds >= 0 && seconds < 2 ** 34){
+		if(nanoseconds === 0 && seconds < 2 ** 32){
+			mpExtension(out, MP_EXT_TIMESTAMP, 4);
+			at = reserve(out, 4);
+			out.view.setUint32(at, seconds);
+		}else{
+			mpExtension(out, MP_EXT_TIMESTAMP, 8);
+			at = reserve(out, 8);
+			out.view.setUint32(at, nanoseconds * 4 + Math.floor(seconds / 2 ** 32));
+			out.view.setUint32(at + 4, seconds >>> 0);
+		}
+	}else{
+		mpExtension(out, MP_EXT_TIMESTAMP, 12);
+		at = reserve(out, 12);
+		out.view.setUint32(at, nanoseconds);
+		out.view.setBigInt64(at + 4, BigInt(seconds));
+	}
+}
+
+function mpBigInt(out, value){
+	let at;
+	if(value >= MIN_SAFE && value <= MAX_SAFE){
+		// int 64 would decode as Number
+		mpBigIntExtension(out, value);
+	}else if(value >= 0n && value <= MAX_UINT64){
+		at = reserve(out, 9);
+		out.bytes[at] = 0xcf;
+		out.view.setBigUint64(at + 1, value);
+	}else if(value >= MIN_INT64 && value <= MAX_INT64){
+		at = reserve(out, 9);
+		out.bytes[at] = 0xd3;
+		out.view.setBigInt64(at + 1, value);
+	}else{
+		mpBigIntExtension(out, value);
+	}
+}
+
+// sign byte then the big endian magnitude
+function mpBigIntExtension(out, value){
+	const bytes = bigIntToBytes(value < 0n ? -value : value);
+	mpExtension(out, MP_EXT_BIGINT, bytes.length + 1);
+	writeByte(out, value < 0n ? 1 : 0);
+	mpBytes(out, bytes);
+}
+
+// int 64 and uint 64 in the safe integer range are Number
+function mpInt64(n){
+	return n >= MIN_SAFE && n <= MAX_SAFE ? Number(n) : n;
+}
+
+// Set and Map are the encoded array or map inside the extension
+function mpNested(out, type, value, depth){
+	const inner = writer();
+	if(value instanceof Set){
+		mpArrayHead(inner, value.size);
+		for(const item of value){
+			mpEncode(inner, item, depth);
+		}
+	}else{
+		mpMapHead(inner, value.size);
+		for(const [key, item] of value){
+			mpEncode(inner, key, depth);
+			mpEncode(inner, item, depth);
+		}
+	}
+	mpExtension(out, type, inner.length);
+	mpBytes(out, inner.bytes.subarray(0, inner.length));
+}
+
+function mpArrayHead(out, size){
+	return size < 16 ? writeByte(out, 0x90 | size) : mpHead(out, size, [0, 0xdc, 0xdd]);
+}
+
+function mpMapHead(out, size){
+	return size < 16 ? writeByte(out, 0x80 | size) : mpHead(out, size, [0, 0xde, 0xdf]);
+}
+
+function mpEncode(out, value, depth){
+	if(depth > MAX_DEPTH){
+		throw new Error(`nesting deeper than ${ MAX_DEPTH }, circular reference`);
+	}
+	switch(typeof value){
+	case 'number':
+		return mpNumber(out, value);
+	case 'string':
+		return mpString(out, value);
+	case 'boolean':
+		return writeByte(out, value ? 0xc3 : 0xc2);
+	case 'undefined':
+		return writeByte(out, 0xc0);
+	case 'bigint':
+		return mpBigInt(out, value);
+	case 'object':
+		break;
+	default:
+		throw new Error(`unsupported type ${ typeof value }`);
+	}
+	depth++;
+	if(value === null){
+		writeByte(out, 0xc0);
+	}else if(Array.isArray(value)){
+		mpArrayHead(out, value.length);
+		for(const item of value){
+			mpEncode(out, item, depth);
+		}
+	}else if(value instanceof Date){
+		mpTimestamp(out, value);
+	}else if(value instanceof Set){
+		mpNested(out, MP_EXT_SET, value, depth);
+	}else if(value instanceof Map){
+		mpNested(out, MP_EXT_MAP, value, depth);
+	}else if(value instanceof ArrayBuffer){
+		mpHead(out, value.byteLength, [0xc4, 0xc5, 0xc6]);
+		mpBytes(out, new Uint8Array(value));
+	}else if(ArrayBuffer.isView(value) && !(value instanceof DataView)){
+		const bytes = new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+		mpExtension(out, MP_EXT_TYPED_ARRAY + (TYPED_ARRAY_CODES[ value.constructor.name ] ?? 1), bytes.length);
+		const at = out.length;
+		mpBytes(out, bytes);
+		if(!LITTLE_ENDIAN && value.BYTES_PER_ELEMENT > 1){
+			swapBytes(out.bytes.subarray(at, out.length), value.BYTES_PER_ELEMENT);
+		}
+	}else{
+		const keys = Object.keys(value).filter(key => value[key] !== undefined);
+		mpMapHead(out, keys.length);
+		for(const key of keys){
+			mpString(out, key);
+			mpEncode(out, value[key], depth);
+		}
+	}
+}
+
+function mpEntries(state, size, depth){
+	const entries = [];
+	for(let i = 0; i < size; i++){
+		entries.push([mpDecode(state, depth), mpDecode(state, depth)]);
+	}
+	return entries;
+}
+
+function mpMap(entries){
+	if(!entries.every(([key]) => typeof key === 'string')){
+		return new Map(entries);
+	}
+	const object = {};
+	for(const [key, value] of entries){
+		setOwn(object, key, value);
+	}
+	return object;
+}
+
+function mpArray(state, size, depth){
+	const list = [];
+	for(let i = 0; i < size; i++){
+		list.push(mpDecode(state, depth));
+	}
+	return list;
+}
+
+function mpTimestampDecode(view, size){
+	if(size === 4){
+		return new Date(view.getUint32(0) * 1000);
+	}
+	if(size === 8){
+		const high = view.getUint32(0);
+		const seconds = (high & 3) * 2 ** 32 + view.getUint32(4);
+		return new Date(seconds * 1000 + Math.floor((high >>> 2) / 1e6));
+	}
+	if(size === 12){
+		return new Date(Number(view.getBigInt64(4)) * 1000 + Math.floor(view.getUint32(0) / 1e6));
+	}
+	throw new Error(`invalid timestamp size ${ size }`);
+}
+
+// ext 8, 16 and 32 have the size then the type
+function mpExtensionHeader(state, bytes){
+	const { view } = state;
+	const size = bytes === 1 ? view.getUint8(state.at) : bytes === 2 ? view.getUint16(state.at) : view.getUint32(state.at);
+	const type = view.getInt8(state.at + bytes);
+	state.at += bytes + 1;
+	return [type, size];
+}
+
+function mpExtensionDecode(state, type, size, depth){
+	const bytes = readBytes(state, size);
+	const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+	if(type === MP_EXT_TIMESTAMP){
+		return mpTimestampDecode(view, size);
+	}
+	if(type === MP_EXT_BIGINT && size > 1){
+		const n = bytesToBigInt(bytes.subarray(1));
+		return bytes[0] ? -n : n;
+	}
+	if(type === MP_EXT_SET || type === MP_EXT_MAP){
+		const inner = reader(bytes);
+		const value = mpDecode(inner, depth);
+		if(inner.at !== bytes.length){
+			throw new Error(`invalid extension ${ type }`);
+		}
+		if(type === MP_EXT_SET && Array.isArray(value)){
+			return new Set(value);
+		}
+		if(type === MP_EXT_MAP && value && typeof value === 'object' && !Array.isArray(value)){
+			return value instanceof Map ? value : new Map(Object.entries(value));
+		}
+		throw new Error(`invalid extension ${ type }`);
+	}
+	const code = type - MP_EXT_TYPED_ARRAY;
+	if(code >= 0 && code < TypedArrayConstructors.length){
+		// try common pre-registered, fall back to Uint8Array like jx
+		const TypedArray = TypedArrayConstructors[code] ?? Uint8Array;
+		const copy = bytes.slice();
+		if(!LITTLE_ENDIAN && TypedArray.BYTES_PER_ELEMENT > 1){
+			swapBytes(copy, TypedArray.BYTES_PER_ELEMENT);
+		}
+		return new TypedArray(copy.buffer);
+	}
+	throw new Error(`unknown extension type ${ type }`);
+}
+
+function mpDecode(state, depth){
+	if(depth > MAX_DEPTH){
+		throw new Error(`nesting deeper than ${ MAX_DEPTH }`);
+	}
+	const { view } = state;
+	const type = view.getUint8(state.at++);
+	let value;
+	const read = (size, method) => {
+		value = view[method](state.at);
+		state.at += size;
+		return value;
+	};
+	depth++;
+	if(type < 0x80){
+		return type;
+	}
+	if(type >= 0xe0){
+		return type - 0x100;
+	}
+	if(type < 0x90){
+		return mpMap(mpEntries(state, type & 0x0f, depth));
+	}
+	if(type < 0xa0){
+		return mpArray(state, type & 0x0f, depth);
+	}
+	if(type < 0xc0){
+		return textDecoder.decode(readBytes(state, type & 0x1f));
+	}
+	switch(type){
+	case 0xc0: return null;
+	case 0xc2: return false;
+	case 0xc3: return true;
+	case 0xc4: return readBytes(state, read(1, 'getUint8')).slice().buffer;
+	case 0xc5: return readBytes(state, read(2, 'getUint16')).slice().buffer;
+	case 0xc6: return readBytes(state, read(4, 'getUint32')).slice().buffer;
+	case 0xc7: return mpExtensionDecode(state, ...mpExtensionHeader(state, 1), depth);
+	case 0xc8: return mpExtensionDecode(state, ...mpExtensionHeader(state, 2), depth);
+	case 0xc9: return mpExtensionDecode(state, ...mpExtensionHeader(state, 4), depth);
+	case 0xca: return read(4, 'getFloat32');
+	case 0xcb: return read(8, 'getFloat64');
+	case 0xcc: return read(1, 'getUint8');
+	case 0xcd: return read(2, 'getUint16');
+	case 0xce: return read(4, 'getUint32');
+	case 0xcf: return mpInt64(read(8, 'getBigUint64'));
+	case 0xd0: return read(1, 'getInt8');
+	case 0xd1: return read(2, 'getInt16');
+	case 0xd2: return read(4, 'getInt32');
+	case 0xd3: return mpInt64(read(8, 'getBigInt64'));
+	case 0xd4: return mpExtensionDecode(state, read(1, 'getInt8'), 1, depth);
+	case 0xd5: return mpExtensionDecode(state, read(1, 'getInt8'), 2, depth);
+	case 0xd6: return mpExtensionDecode(state, read(1, 'getInt8'), 4, depth);
+	case 0xd7: return mpExtensionDecode(state, read(1, 'getInt8'), 8, depth);
+	case 0xd8: return mpExtensionDecode(state, read(1, 'getInt8'), 16, depth);
+	case 0xd9: return textDecoder.decode(readBytes(state, read(1, 'getUint8')));
+	case 0xda: return textDecoder.decode(readBytes(state, read(2, 'getUint16')));
+	case 0xdb: return textDecoder.decode(readBytes(state, read(4, 'getUint32')));
+	case 0xdc: return mpArray(state, read(2, 'getUint16'), depth);
+	case 0xdd: return mpArray(state, read(4, 'getUint32'), depth);
+	case 0xde: return mpMap(mpEntries(state, read(2, 'getUint16'), depth));
+	case 0xdf: return mpMap(mpEntries(state, read(4, 'getUint32'), depth));
+	}
+	throw new Error(`invalid type 0x${ type.toString(16) }`);
+}
+
+/* MessagePack registered as 'mp', readable by standard MessagePack decoders */
+export const codecMessagePack = {
+	format: 'mp',
+	// returns Uint8Array buffer
+	encode(data){
+		const out = writer();
+		try {
+			mpEncode(out, data, 0);
+		} catch (error) {
+			throw new Error(`MessagePack encoding error: ${ error.message }`);
+		}
+		return out.bytes.slice(0, out.length);
+	},
+	// returns original data
+	decode(buffer){
+		const state = reader(buffer);
+		let data;
+		try {
+			data = mpDecode(state, 0);
+		} catch (error) {
+			throw new Error(`MessagePack decoding error: ${ error.message }`);
+		}
+		if(state.at !== state.bytes.length){
+			throw new Error(`MessagePack decoding error: ${ state.bytes.length - state.at } bytes after the data`);
+		}
+		return data;
+	}
+};
+
+/* positional formats register a field schema under a versioned name, ie 's1', so tokens carry no field names
+ * objects are arrays of values in field order, or index-tagged values {"0": v, "2": v} when fields before the last are missing
+ * extra fields not in the schema: 'reject' throws (default), 'drop' removes them, 'keep' stores them after the fields
+ * values use the inner codec, j by default, changing fields needs a new name (s2) with s1 kept to verify older tokens */
+const POSITIONAL_EXTRA = ['reject', 'drop', 'keep'];
+
+export function positionalFormat(fields, {codec=codecJSON, extra='reject'}={}){
+	if(!Array.isArray(fields) || !fields.length || fields.some(field => typeof field !== 'string' || !field) || new Set(fields).size !== fields.length){
+		throw new Error(`positional fields must be unique names`);
+	}
+	if(!POSITIONAL_EXTRA.includes(extra)){
+		throw new Error(`positional extra must be one of ${ POSITIONAL_EXTRA.join(', ') }`);
+	}
+	const index = new Map(fields.map((field, i) => [field, i]));
+	fields = Object.freeze([...fields]);
+
+	const pack = (data) => {
+		if(data === null || typeof data !== 'object' || Array.isArray(data)){
+			throw new Error(`positional data must be an object`);
+		}
+		const values = [];
+		let extras;
+		for(const [key, value] of Object.entries(data)){
+			if(value === undefined){
+				continue;
+			}
+			if(index.has(key)){
+				values[ index.get(key) ] = value;
+			}else if(extra === 'reject'){
+				throw new Error(`positional unknown field "${ key }"`);
+			}else if(extra === 'keep'){
+				setOwn(extras ??= {}, key, value);
+			}
+		}
+		if(extras){
+			values[ fields.length ] = extras;
+		}
+		// sparse values are index-tagged
+		if(values.length === Object.keys(values).length){
+			return values;
+		}
+		return Object.fromEntries(Object.entries(values));
+	};
+
+	const unpack = (packed) => {
+		const isArray = Array.isArray(packed);
+		if(!isArray && (packed === null || typeof packed !== 'object')){
+			throw new Error(`positional data must be an array or object`);
+		}
+		const data = {};
+		for(const [i, value] of Object.entries(packed)){
+			const field = fields[i];
+			if(field !== undefined && (isArray || /^(?:0|[1-9]\d*)$/.test(i))){
+				setOwn(data, field, value);
+			}else if(String(i) === String(fields.length) && value && typeof value === 'object' && extra === 'keep'){
+				for(const [key, item] of Object.entries(value)){
+					if(!index.has(key)){
+						setOwn(data, key, item);
+					}
+				}
+			}else{
+				throw new Error(`positional unknown index ${ i }`);
+			}
+		}
+		return data;
+	};
+
+	return {
+		codec,
+		fields,
+		extra,
+		encode(data){
+			return this.codec.encode( pack(data) );
+		},
+		// hidden data isn't in the token so it doesn't need the schema
+		encodeHidden(data){
+			return this.codec.encodeHidden ? this.codec.encodeHidden(data) : this.codec.encode(data);
+		},
+		decode(buffer){
+			const packed = this.codec.decode(buffer);
+			return typeof packed?.then === 'function' ? packed.then(unpack) : unpack(packed);
+		}
+	};
+}
+
+/* JSON Schema subset: type, enum, const, properties, required, additionalProperties, items,
+ * minimum, maximum, minLength, maxLength, pattern, minItems, maxItems
+ * with types for jx data: bigint and date */
+const schemaTypes = {
+	string: value => typeof value === 'string',
+	number: value => typeof value === 'number' && Number.isFinite(value),
+	integer: value => Number.isInteger(value),
+	boolean: value => typeof value === 'boolean',
+	null: value => value === null,
+	array: value => Array.isArray(value),
+	object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+	bigint: value => typeof value === 'bigint',
+	date: value => value instanceof Date && !isNaN(value),
+};
+
+export function schemaIssues(schema, value, path=[], issues=[]){
+	const issue = (message, at=path) => issues.push({path: at, message});
+	if(schema === true || schema === undefined){
+		return issues;
+	}
+	if(schema === false){
+		issue(`not allowed`);
+		return issues;
+	}
+	if(schema.type !== undefined){
+		const types = [].concat(schema.type);
+		if(!types.some(type => schemaTypes[type]?.(value))){
+			issue(`expected ${ types.join(' or ') }`);
+			return issues;
+		}
+	}
+	if('const' in schema && !Object.is(value, schema.const)){
+		issue(`expected ${ String(schema.const) }`);
+	}
+	if(schema.enum && !schema.enum.includes(value)){
+		issue(`expected one of ${ schema.enum.map(String).join(', ') }`);
+	}
+	if(typeof value === 'string'){
+		if(value.length < (schema.minLength ?? 0)) issue(`shorter than ${ schema.minLength }`);
+		if(value.length > (schema.maxLength ?? Infinity)) issue(`longer than ${ schema.maxLength }`);
+		if(schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) issue(`doesn't match ${ schema.pattern }`);
+	}else if(typeof value === 'number' || typeof value === 'bigint'){
+		if(schema.minimum !== undefined && value < schema.minimum) issue(`less than ${ schema.minimum }`);
+		if(schema.maximum !== undefined && value > schema.maximum) issue(`greater than ${ schema.maximum }`);
+	}else if(Array.isArray(value)){
+		if(value.length < (schema.minItems ?? 0)) issue(`fewer than ${ schema.minItems } items`);
+		if(value.length > (schema.maxItems ?? Infinity)) issue(`more than ${ schema.maxItems } items`);
+		if(schema.items !== undefined){
+			value.forEach((item, i) => schemaIssues(schema.items, item, [...path, i], issues));
+		}
+	}else if(schemaTypes.object(value) && !(value instanceof Date)){
+		for(const name of schema.required ?? []){
+			if(!Object.hasOwn(value, name)) issue(`required`, [...path, name]);
+		}
+		for(const [name, item] of Object.entries(value)){
+			const property = schema.properties && Object.hasOwn(schema.properties, name) ? schema.properties[name] : schema.additionalProperties;
+			schemaIssues(property, item, [...path, name], issues);
+		}
+	}
+	return issues;
+}
+
+/* a codec that validates data against the schema, returned from verify as data or rejected with the issues
+ * Standard Schema https://standardschema.dev has ~standard.validate, its output value is the verified data */
+export function withSchema(codec, schema){
+	const standard = schema?.['~standard'];
+	return {
+		...codec,
+		schema,
+		validate: typeof standard?.validate === 'function'
+			? data => standard.validate(data)
+			: data => {
+				const issues = schemaIssues(schema, data);
+				return issues.length ? {issues} : {value: data};
+			}
+	};
+}
+
 export const formats = {
 	j: codecJSON, 
 	jx: codecJSONextended,
+	jz: codecJSONcompressed,
+	cb: codecCBOR,
+	mp: codecMessagePack,
 };
 
@@ -8,15 +8,18 @@
  *
  * Hash-based Web Tokens (HWT) are base64url signed tokens for Web contexts
  * 10-40% smaller than JWT's
- * custom formats for payloads including JSON and JSON extended (Date, BigInt, Map, Set, TypedArrays), 
- * additional examples of custom formats and codecs using CBOR and MessagePack
+ * custom formats for payloads including JSON, JSON extended, CBOR and MessagePack (Date, BigInt, Map, Set, TypedArrays), 
+ * without dependencies
  * 
  * library provides:
  * key generation, registration and facilitates key rotation
  * using SHA-256, SHA-384, SHA-512
+ * asymmetric signing with ECDSA P-256/P-384 and Ed25519 key pairs, verify with only the public key
  * configurable signature and token lengths
  * optionally include hidden input for signing and verifying tokens
  * always includes an expiration time, with configurable default
+ * optional registered claims (issued-at, not-before, issuer, audience, subject, token id) enforced by verify
+ * optional AES-GCM encrypted payloads, format suffix '-e' like "hwt.signature.keyid.1234567890.j-e.encrypted"
  * configurable errors
  * self contained, no external dependencies required
  * intended for use in Cloudflare Workers, Deno, Nodejs
@@ -31,6 +34,8 @@
 		- keyid is the key used to create the hash 
 		- expires is the UNIX time in seconds that the token expires, also in the hash signature
 		- data is the remainder of the payload input, without any of the hidden input 
+		- claims is optional base64url JSON of registered claims (iat, nbf, iss, aud, sub, jti), also in the hash signature
+	"hwt.signature.keyid.1234567890.j.payload1234.claims"
  *
  * sample usage:
 
@@ -48,6 +53,8 @@ const keys = await Hwtr.generateKeys();
 	// const keys = JSON.parse(env.secret_keys);
 	// const secret = '-'.repeat(32);
 	// const keys = {current:'k1',keys:[{id:'k1',secret:'...32.bytes.or.more...', created:Date.now()}]}
+	// asymmetric keys sign with the private key, Hwtr.publicKeys(keys) for verify-only services
+	// const keys = {current:'k1',keys:[await Hwtr.generateKeyPair({id:'k1', alg:'ES256'})]}
 	
 	// make the default expiration 5 minutes
 	const options = {expiresInSeconds: 60 * 5};
@@ -143,17 +150,94 @@ export function base64urlToUint8Array(base64url) {
 // securely clear a buffer by overwriting with zeros
 export function clearBuffer(buffer) {
 	if (buffer instanceof Uint8Array) {
-		crypto.getRandomValues(buffer); // First overwrite with random data
+		// First overwrite with random data, getRandomValues has a 65536 byte limit
+		for (let i = 0; i < buffer.length; i += 65536) {
+			crypto.getRandomValues(buffer.subarray(i, i + 65536));
+		}
 		buffer.fill(0); // Then zero out
 	}
 }
 
+// codecs can return a Promise, only those are awaited so sync codecs like j and jx stay fast
+function isThenable(value) {
+	return typeof value?.then === 'function';
+}
+
 export function toUint8Array(typedArray) {
 	return new Uint8Array(typedArray.buffer, typedArray.byteOffset, typedArray.byteLength);
 }
 
+// a copy of the bytes of a typed array or ArrayBuffer
+function copyBytes(material) {
+	return material.buffer ? toUint8Array(material).slice() : new Uint8Array(material).slice();
+}
+
+/* errors have a stable code, the same as result.code when errors aren't thrown
+ * classes group codes for HTTP layers: format 400, expired, signature and key 401, claim and revoked 403 */
+export class HwtrError extends Error {
+	constructor(message, code='HWT_ERROR', options){
+		super(message, options);
+		this.name = new.target.name;
+		this.code = code;
+		// schema mismatches list each path [{path: 'user.id', message}]
+		if(options?.issues){
+			this.issues = options.issues;
+		}
+	}
+}
+// malformed tokens, unknown formats and data that doesn't encode, decode or match the schema
+export class HwtrFormatError extends HwtrError {}
+// expired, not yet valid, issued in the future, past the lifetime
+export class HwtrExpiredError extends HwtrError {}
+// signatures that don't match, encrypted data that doesn't decrypt
+export class HwtrSignatureError extends HwtrError {}
+// unknown, invalid, revoked or expired keys and tenants
+export class HwtrKeyError extends HwtrError {}
+// issuer, audience, subject, tenant and purpose mismatches
+export class HwtrClaimError extends HwtrError {}
+// revoked and replayed tokens
+export class HwtrRevokedError extends HwtrError {}
+
+const errorTypes = {
+	HWT_INVALID: HwtrFormatError,
+	HWT_INVALID_FORMAT: HwtrFormatError,
+	HWT_UNKNOWN_FORMAT: HwtrFormatError,
+	HWT_ENCODING_FAILED: HwtrFormatError,
+	HWT_DECODING_FAILED: HwtrFormatError,
+	HWT_ENCRYPTED: HwtrFormatError,
+	HWT_SIZE_EXCEEDED: HwtrFormatError,
+	HWT_INVALID_CODEC: HwtrFormatError,
+	HWT_SCHEMA_MISMATCH: HwtrFormatError,
+	HWT_EXPIRED: HwtrExpiredError,
+	HWT_NOT_YET_VALID: HwtrExpiredError,
+	HWT_ISSUED_IN_FUTURE: HwtrExpiredError,
+	HWT_LIFETIME_EXCEEDED: HwtrExpiredError,
+	HWT_INVALID_SIGNATURE: HwtrSignatureError,
+	HWT_DECRYPTION_FAILED: HwtrSignatureError,
+	HWT_SIGNING_FAILED: HwtrSignatureError,
+	HWT_UNKNOWN_KEY: HwtrKeyError,
+	HWT_UNKNOWN_TENANT: HwtrKeyError,
+	HWT_INVALID_KEY: HwtrKeyError,
+	HWT_KEY_REVOKED: HwtrKeyError,
+	HWT_KEY_NOT_YET_VALID: HwtrKeyError,
+	HWT_KEY_EXPIRED: HwtrKeyError,
+	HWT_KEY_CANNOT_SIGN: HwtrKeyError,
+	HWT_KEY_CANNOT_ENCRYPT: HwtrKeyError,
+	HWT_ISSUER_MISMATCH: HwtrClaimError,
+	HWT_AUDIENCE_MISMATCH: HwtrClaimError,
+	HWT_SUBJECT_MISMATCH: HwtrClaimError,
+	HWT_TENANT_MISMATCH: HwtrClaimError,
+	HWT_PURPOSE_MISMATCH: HwtrClaimError,
+	HWT_REVOKED: HwtrRevokedError,
+	HWT_REPLAYED: HwtrRevokedError,
+	// HwtrError: HWT_CONFIG, HWT_INVALID_ARGUMENT
+};
+
+function hwtrError(code, message, options){
+	return new (errorTypes[code] ?? HwtrError)(message, code, options);
+}
 
-export default class Hwtr {
+export default class Hwtr extends EventTarget {
 	#errorOnInvalid = false;
 	#errorOnExpired = false;
 	#errorOnEncoding = true;
@@ -165,11 +249,35 @@ export default class Hwtr {
 	#ready = null;
 	#maxTokenSizeBytes = 2048;
 	#prefix = 'hwt';
+	#claims = false;
+	#issuer = '';
+	#audience = '';
+	#purpose = '';
+	#revocations = null;
+	#nonces = null;
+	#encrypt = false;
+	#rotation = null;
+	#rotating = null;
+	// the longest lifetime of tokens this instance signed, retired keys verify them by default
+	#issuedSeconds = 0;
+	// key configs by id, the key ring that rotation emits to persist
+	#ring = new Map();
+	// tenant name to its keys {current, [id]: key}, isolated from the instance keys
+	#tenants = new Map();
+	#keyProvider = null;
+	#session = null;
+	// kid to {key, expires} from the key provider, key is null for misses
+	#provided = new Map();
+	#keyCacheSeconds = 300;
+	#keyMissSeconds = 30;
 
 	static version = 0.20250301;
 	static textEncoder = textEncoder;
 	static textDecoder = textDecoder;
 	static #codecs = {j:null};
+	// verify only formats, never used by create, and old names for other formats
+	static #deprecated = new Set();
+	static #aliases = {};
 
 	// commonly used for seconds-in-future to expire (31557600 = 1yr)
 	numeric(value, preset=60, min=1, max=31557600){
@@ -201,10 +309,27 @@ export default class Hwtr {
 			leewaySeconds = 1, 
 			maxTokenSizeBytes = 2048, 
 			format = 'j', 
+			claims = false, // true adds iat and jti to every token
+			issuer = '', // iss added on create and required on verify
+			audience = '', // aud added on create and required on verify
+			purpose = '', // pur added on create and required on verify, ie 'session', 'csrf', 'invite'
+			revocations = null, // store with get(key) and set(key, value, expires), see hwtr.stores.js
+			nonces = null, // store with add(key, value, expires) for verifyOnce
+			encrypt = false, // true encrypts the payload with AES-GCM
+			rotation = null, // {everySeconds, retainSeconds} rotates the current key, see rotate()
+			keyProvider = null, // async (kid)=>keyConfig or null, for unknown keys on verify
+			keyCacheSeconds = 300, // how long provided keys are used before asking again
+			keyMissSeconds = 30, // how long a kid without a key isn't asked for again
+			session = null, // {idleSeconds, absoluteSeconds, renewAfter} sliding sessions
+			prefix = 'hwt', // per purpose, ie 'acc' access and 'rst' password reset, signed so tokens don't verify across prefixes
 			hash // default SHA-256
 		} = {}
 	){
+		super();
 
+		if(Hwtr.#deprecated.has(format)){
+			throw hwtrError('HWT_CONFIG', `hwt format "${ format }" is deprecated, verify only`);
+		}
 		this.format = (typeof Hwtr.#codecs[format]?.encode === 'function') ? format: 'j';
 
 		// max 1 year in seconds
@@ -238,19 +363,149 @@ export default class Hwtr {
 		}
 
 		this.#algorithm = { name: 'HMAC', hash };
+
+		if(!/^[a-zA-Z][a-zA-Z0-9]{0,9}$/.test(prefix)){
+			throw hwtrError('HWT_CONFIG', `Hwtr prefix must have pattern [a-zA-Z][a-zA-Z0-9]{0,9}`);
+		}
+		this.#prefix = prefix;
+		this.#claims = !!claims;
+		this.#issuer = issuer ? String(issuer) : '';
+		this.#audience = audience || '';
+		this.#purpose = purpose ? String(purpose) : '';
+		this.#encrypt = !!encrypt;
+		if(rotation){
+			const everySeconds = this.numeric(rotation.everySeconds, 0, 60);
+			// without retainSeconds retired keys verify for the longest lifetime issued, see #dropRetired()
+			const retainSeconds = rotation.retainSeconds === undefined ? undefined : this.numeric(rotation.retainSeconds, 0, 0);
+			this.#rotation = {everySeconds, retainSeconds};
+		}
+		if(revocations){
+			if(typeof revocations.get !== 'function' || typeof revocations.set !== 'function'){
+				throw hwtrError('HWT_CONFIG', `Hwtr revocations store requires get(key) and set(key, value, expires)`);
+			}
+			this.#revocations = revocations;
+		}
+		if(session){
+			const idleSeconds = this.numeric(session.idleSeconds, this.#expiresInSeconds);
+			const absoluteSeconds = this.numeric(session.absoluteSeconds, 86400, idleSeconds);
+			// fraction of the idle window after which verify renews
+			const renewAfter = this.numeric(session.renewAfter, 0.5, 0, 1);
+			this.#session = {idleSeconds, absoluteSeconds, renewAfter};
+		}
+		if(keyProvider){
+			if(typeof keyProvider !== 'function'){
+				throw hwtrError('HWT_CONFIG', `Hwtr keyProvider must be a function (kid)=>Promise<keyConfig|null>`);
+			}
+			this.#keyProvider = keyProvider;
+			this.#keyCacheSeconds = this.numeric(keyCacheSeconds, 300, 0);
+			this.#keyMissSeconds = this.numeric(keyMissSeconds, 30, 0);
+		}
+		if(nonces){
+			if(typeof nonces.add !== 'function'){
+				throw hwtrError('HWT_CONFIG', `Hwtr nonces store requires add(key, value, expires)`);
+			}
+			this.#nonces = nonces;
+		}
 		
-		this.importKeys(keys);
+		// ready() waits for all keys, including a generated fallback
+		this.#ready = this.importKeys(keys);
+	}
+
+	/* asymmetric signing algorithms by JWA name, keys are JWK or CryptoKey pairs
+	 * ECDSA signatures are P-256 = 86 and P-384 = 128 base64url chars, Ed25519 = 86 */
+	static #asymmetric = {
+		ES256: {params: {name: 'ECDSA', namedCurve: 'P-256'}, sign: {name: 'ECDSA', hash: 'SHA-256'}},
+		ES384: {params: {name: 'ECDSA', namedCurve: 'P-384'}, sign: {name: 'ECDSA', hash: 'SHA-384'}},
+		EdDSA: {params: {name: 'Ed25519'}, sign: {name: 'Ed25519'}},
+	};
+
+	/* key config fields besides the key material
+	 * status is 'active' (default) signs and verifies, 'verify-only' or 'revoked'
+	 * notBefore and notAfter are the validity window, any time Date accepts */
+	static #keyFields = ['created', 'notBefore', 'notAfter', 'status', 'retired'];
+	static #statuses = ['active', 'verify-only', 'revoked'];
+
+	#keyEntry({id, created, notBefore, notAfter, status='active'}, $={}){
+		if(!Hwtr.#statuses.includes(status)){
+			throw hwtrError('HWT_INVALID_KEY', `Hwtr key "${ id }" status must be one of ${ Hwtr.#statuses.join(', ') }`);
+		}
+		$.id = id;
+		$.created = new Date(created);
+		$.status = status;
+		// UNIX seconds, or undefined without a limit
+		$.notBefore = notBefore === undefined ? undefined : Hwtr.#seconds(notBefore);
+		$.notAfter = notAfter === undefined ? undefined : Hwtr.#seconds(notAfter);
+		$.keyImport = null;
+		return $;
+	}
+
+	// why the key can't sign a token expiring at exp, '' when it can
+	#unsignable(key, now, exp=now){
+		if(!key?.key) return 'no signing key';
+		if(key.status !== 'active') return key.status;
+		if(key.notBefore > now) return 'not yet valid';
+		if(key.notAfter <= now) return 'expired';
+		if(key.notAfter < exp) return 'expires before the token';
+		return '';
+	}
+
+	// secrets with an alg use its hash, otherwise the instance hash option
+	static #hmac = {HS256: 'SHA-256', HS384: 'SHA-384', HS512: 'SHA-512'};
+
+	// alg from the config or inferred from the key, ie JWK {kty:'EC', crv:'P-256'} is ES256
+	static #algorithmOf({alg, privateKey, publicKey}){
+		if(alg === 'Ed25519') return 'EdDSA';
+		if(Hwtr.#asymmetric[alg]) return alg;
+		const key = privateKey ?? publicKey ?? {};
+		// CryptoKey has algorithm {name, namedCurve}, JWK has crv
+		const curve = key.algorithm?.namedCurve ?? key.algorithm?.name ?? key.crv;
+		return {'P-256': 'ES256', 'P-384': 'ES384', 'Ed25519': 'EdDSA'}[curve] ?? '';
+	}
+
+	// public JWK from a private JWK, without d and key_ops
+	static #publicJWK({kty, crv, x, y}){
+		const jwk = {kty, crv, x};
+		if(y) jwk.y = y;
+		return jwk;
+	}
+
+	async #importAsymmetric(config, alg){
+		const {id, privateKey, publicKey} = config;
+		const {params, sign} = Hwtr.#asymmetric[alg];
+		const $ = this.#keyEntry(config, {
+			alg,
+			// signing key, null on verify-only services holding only the public key
+			key: null,
+			verifyKey: null,
+			sign
+		});
+		const load = (value, usage)=>{
+			if(value instanceof CryptoKey) return value;
+			return crypto.subtle.importKey('jwk', value, params, false, [usage]);
+		};
+		if(privateKey){
+			$.key = await load(privateKey, 'sign');
+		}
+		const verifyWith = publicKey ?? (privateKey instanceof CryptoKey ? null : privateKey && Hwtr.#publicJWK(privateKey));
+		if(!verifyWith){
+			throw hwtrError('HWT_INVALID_KEY', `Hwtr ${ alg } key "${ id }" requires a publicKey`);
+		}
+		$.verifyKey = await load(verifyWith, 'verify');
+		return $;
 	}
 
 	// Update the importKey method to clear the secret buffer after use
+	/* key configs are {id, secret}, {id, privateKey, publicKey} for asymmetric keys
+	 * or {id, master, info} derived with HKDF from a master secret, info per audience, purpose or tenant
+	 * so rotating the master rotates every key derived from it */
 	async importKey(config={}, i) {
-		let {id='', secret='', created, keyImport = null, key = null} = config;
+		let {id='', secret='', master, info='', created, keyImport = null, key = null, verifyKey = null} = config;
 		const aDot = id.indexOf('.') > -1;
 		if(!id || aDot) {
-			throw new Error(`Hwtr key id invalid: "${id}" at index ${i}` + (aDot ? ` has a '.'` : ''));
+			throw hwtrError('HWT_INVALID_KEY', `Hwtr key id invalid: "${id}" at index ${i}` + (aDot ? ` has a '.'` : ''));
 		}
 
-		if(key) {
+		if(key || verifyKey) {
 			// already resolved
 			return config;
 		} else if(keyImport) {
@@ -258,29 +513,50 @@ export default class Hwtr {
 			return keyImport;
 		}
 
+		if(config.privateKey || config.publicKey){
+			const alg = Hwtr.#algorithmOf(config);
+			if(!alg){
+				throw hwtrError('HWT_INVALID_KEY', `Hwtr key "${ id }" has an unsupported algorithm "${ config.alg }", use one of ${ Object.keys(Hwtr.#asymmetric).join(', ') }`);
+			}
+			return this.#importAsymmetric(config, alg);
+		}
+
 		let bfr;
+		const material = master ?? secret;
 		try {
-			if (typeof secret === 'string') {
-				bfr = this.stringToBuffer(secret);
-			} else if(secret?.byteLength) {
-				bfr = new Uint8Array(secret.buffer || secret);
+			if (typeof material === 'string') {
+				bfr = this.stringToBuffer(material);
+			} else if(material?.byteLength) {
+				// cleared after use, the caller's bytes stay as they are
+				bfr = copyBytes(material);
 			}
 
 			if(!bfr || bfr.byteLength < 32) {
-				throw new Error(`Hwtr requires a secret that is at least 32 characters or bytes`);
+				throw hwtrError('HWT_INVALID_KEY', `Hwtr requires a ${ master === undefined ? 'secret' : 'master' } that is at least 32 characters or bytes`);
 			}
 
-			const $ = {
-				id,
-				created: new Date(created),
-				keyImport: null,
-				key: null
-			};
+			const $ = this.#keyEntry(config, {key: null});
 
-			$.key = await crypto.subtle.importKey('raw', bfr, this.#algorithm,
-				/* not extractable */
+			const algorithm = Hwtr.#hmac[config.alg] ? {name: 'HMAC', hash: Hwtr.#hmac[config.alg]} : this.#algorithm;
+			const base = await crypto.subtle.importKey('raw', bfr, 'HKDF', false, ['deriveKey']);
+			// derived keys have info after the use, ie 'hwt HMAC billing', never the same as keys from a secret
+			const derive = (use, algorithm, usages)=>crypto.subtle.deriveKey(
+				{name: 'HKDF', hash: 'SHA-256', salt: emptyArray, info: textEncoder.encode(master === undefined ? `hwt ${ use }` : `hwt ${ use } ${ info }`)},
+				base,
+				algorithm,
 				false,
-				['sign', 'verify']);
+				usages);
+			if (master === undefined) {
+				$.key = await crypto.subtle.importKey('raw', bfr, algorithm,
+					/* not extractable */
+					false,
+					['sign', 'verify']);
+			} else {
+				$.key = await derive('HMAC', algorithm, ['sign', 'verify']);
+			}
+
+			// AES-GCM key for encrypted payloads, derived so the secret is never used directly for both
+			$.encryptKey = await derive('AES-GCM', {name: 'AES-GCM', length: 256}, ['encrypt', 'decrypt']);
 			
 			return $;
 		} finally {
@@ -355,11 +631,128 @@ export default class Hwtr {
 		return {current, keys};
 	}
 
+	/* asymmetric key pair as JWK, sign with privateKey and verify with publicKey
+	 * alg is one of ES256 (ECDSA P-256), ES384 (ECDSA P-384), EdDSA (Ed25519) */
+	static async generateKeyPair({id='keyid', alg='ES256'}={}){
+		alg = Hwtr.#algorithmOf({alg});
+		const {params} = Hwtr.#asymmetric[alg] ?? {};
+		if(!params){
+			throw hwtrError('HWT_INVALID_KEY', `Hwtr key pair algorithm must be one of ${ Object.keys(Hwtr.#asymmetric).join(', ') }`);
+		}
+		id = String(id).replaceAll('.','_');
+		const pair = await crypto.subtle.generateKey(params, true, ['sign', 'verify']);
+		const privateKey = await crypto.subtle.exportKey('jwk', pair.privateKey);
+		const publicKey = await crypto.subtle.exportKey('jwk', pair.publicKey);
+		const created = (new Date).toISOString();
+		return {id, alg, privateKey, publicKey, created};
+	}
+
+	// copy of keys without private parts for services that only verify
+	static publicKeys({current='', keys=[]}={}){
+		return {
+			current,
+			keys: keys.filter(key=>key.publicKey || key.privateKey).map(({privateKey, ...key})=>{
+				if(!key.publicKey && !(privateKey instanceof CryptoKey)){
+					key.publicKey = Hwtr.#publicJWK(privateKey);
+				}
+				return key;
+			})
+		};
+	}
+
+	/* JSON Web Key Set (RFC 7517) from keys {current, keys:[{id, secret, created}]}
+	 * secrets are kty 'oct' with alg HS256/HS384/HS512 from the hash, key pairs are EC or OKP with their alg
+	 * id is kid, current and key fields like created are carried as additional members */
+	static keysToJWKS({current='', keys=[]}={}, {hash='SHA-256'}={}){
+		const hs = `HS${ hash.replace(/\D/g, '') || 256 }`;
+		return {
+			current,
+			keys: keys.map((config)=>{
+				const {id, secret, master, info, privateKey, publicKey, alg} = config;
+				let jwk;
+				if(privateKey || publicKey){
+					const key = privateKey ?? publicKey;
+					if(key instanceof CryptoKey){
+						throw hwtrError('HWT_INVALID_KEY', `Hwtr key "${ id }" is a CryptoKey, JWK required`);
+					}
+					const {key_ops, ext, ...rest} = key;
+					jwk = {...rest, alg: Hwtr.#algorithmOf({alg, privateKey, publicKey})};
+				}else{
+					const material = master ?? secret;
+					const bytes = typeof material === 'string' ? textEncoder.encode(material) : toUint8Array(material);
+					jwk = {kty: 'oct', k: bufferToBase64Url(bytes), alg: Hwtr.#hmac[alg] ? alg : hs};
+					if(master !== undefined){
+						// k is the master, info derives the key
+						jwk.info = info ?? '';
+					}
+				}
+				jwk.kid = id;
+				jwk.use = 'sig';
+				for(const field of Hwtr.#keyFields){
+					if(config[field] !== undefined){
+						jwk[field] = config[field];
+					}
+				}
+				return jwk;
+			})
+		};
+	}
+
+	// keys {current, keys:[...]} from a JSON Web Key Set, the reverse of keysToJWKS
+	static keysFromJWKS({current, keys=[]}={}){
+		return {
+			current: current ?? keys[0]?.kid ?? '',
+			keys: keys.map(({kid, use, created, notBefore, notAfter, status, retired, ...jwk})=>{
+				const key = {id: String(kid ?? '')};
+				if(jwk.kty === 'oct' && jwk.info !== undefined){
+					key.master = base64urlToUint8Array(jwk.k);
+					key.info = jwk.info;
+					if(jwk.alg){
+						key.alg = jwk.alg;
+					}
+				}else if(jwk.kty === 'oct'){
+					key.secret = base64urlToUint8Array(jwk.k);
+					if(jwk.alg){
+						key.alg = jwk.alg;
+					}
+				}else{
+					const {key_ops, ext, alg, ...rest} = jwk;
+					key.alg = Hwtr.#algorithmOf({alg, publicKey: rest});
+					if(rest.d){
+						key.privateKey = rest;
+					}
+					key.publicKey = Hwtr.#publicJWK(rest);
+				}
+				Object.entries({created, notBefore, notAfter, status, retired}).forEach(([field, value])=>{
+					if(value !== undefined){
+						key[field] = value;
+					}
+				});
+				return key;
+			})
+		};
+	}
+
+	static isJWKS(keys){
+		return Array.isArray(keys?.keys) && keys.keys.length > 0 && keys.keys.every(key=>typeof key?.kty === 'string');
+	}
+
+	// keys are {current, keys:[...], tenants: {name: {current, keys:[...]}}} or a JSON Web Key Set
 	async importKeys(expectedKeys) {
-		let {current='', keys = []} = expectedKeys ?? {};
+		if (Hwtr.isJWKS(expectedKeys)) {
+			expectedKeys = Hwtr.keysFromJWKS(expectedKeys);
+		}
+		let {current='', keys = [], tenants} = expectedKeys ?? {};
+		if (tenants) {
+			await Promise.all(Object.entries(tenants).map(([tenant, ring])=>this.addTenant(tenant, ring)));
+		}
 		let curr;
 		// If no keys are provided, generate a default one
 		if (!keys || keys.length === 0) {
+			// tokens signed by a generated key don't verify after a restart, services with tenants need their keys
+			if (tenants) {
+				throw hwtrError('HWT_INVALID_KEY', `Hwtr with tenants requires instance keys`);
+			}
 			console.warn("No keys provided, generating a fallback key");
 			const fallbackKey = await Hwtr.generateKey({id: 'fallback'}, false);
 			keys = [fallbackKey];
@@ -369,9 +762,10 @@ export default class Hwtr {
 		this.#ready = Promise.allSettled(keys.map((key, i) => {
 			if (key.id.indexOf('.') > -1) {
 				//console.warn(`Skipping key with invalid id: "${key.id}"`);
-				return Promise.reject(new Error(`Hwtr key has '.' in id ${key.id}`));
+				return Promise.reject(hwtrError('HWT_INVALID_KEY', `Hwtr key has '.' in id ${key.id}`));
 			}
 	
+			const config = Hwtr.#ringEntry(key);
 			return this.importKey(key, i)
 				.then(key => {
 					// current becomes either the first or matching id
@@ -379,6 +773,7 @@ export default class Hwtr {
 						curr = key;
 					}
 					this.#keys[key.id] = key;
+					this.#ring.set(key.id, config);
 					return key;
 				});
 		}));
@@ -394,19 +789,200 @@ export default class Hwtr {
 				const fallbackKey = await Hwtr.generateKey({id: 'fallback'}, false);
 				const importedKey = await this.importKey(fallbackKey, 0);
 				this.#keys[importedKey.id] = importedKey;
+				this.#ring.set(importedKey.id, Hwtr.#ringEntry(fallbackKey));
 				curr = importedKey;
 			} catch (error) {
-				throw new Error(`Unable to create fallback key: ${error.message}`);
+				throw hwtrError('HWT_INVALID_KEY', `Unable to create fallback key: ${error.message}`);
 			}
 		}
 	
 		if (!curr) {
-			throw new Error(`No valid keys available`);
+			throw hwtrError('HWT_INVALID_KEY', `No valid keys available`);
 		}
 	
 		this.#keys.current = curr;
 	}
 
+	/* keys the provider returns for kids that aren't imported, verify only
+	 * imported with importKey() and cached for keyCacheSeconds, misses and errors for keyMissSeconds
+	 * concurrent lookups of a kid share one call */
+	static #providedMax = 1000;
+
+	#provideKey(kid){
+		const now = this.nowSeconds;
+		const cached = this.#provided.get(kid);
+		if(cached && cached.expires > now){
+			return cached.key;
+		}
+		if(this.#provided.size >= Hwtr.#providedMax){
+			for(const [id, {expires}] of this.#provided){
+				if(expires <= now || this.#provided.size >= Hwtr.#providedMax){
+					this.#provided.delete(id);
+				}
+			}
+		}
+		// pending lookups don't expire
+		const entry = {key: null, expires: Infinity};
+		entry.key = Promise.resolve()
+			.then(()=>this.#keyProvider(kid))
+			.then(config=>config ? this.importKey({...config, id: kid}) : null)
+			.catch(error=>null)
+			.then(key=>{
+				entry.key = key;
+				entry.expires = this.nowSeconds + (key ? this.#keyCacheSeconds : this.#keyMissSeconds);
+				return key;
+			});
+		this.#provided.set(kid, entry);
+		return entry.key;
+	}
+
+	/* tenants have their own keys, tokens created with {tenant} are signed by its current key
+	 * and have the tenant as the signed claim tid, verify uses the keys of that tenant
+	 * so kids can repeat across tenants, keys are {current, keys:[...]} or a JSON Web Key Set
+	 * NOTE rotation applies to the instance keys, not tenants */
+	async addTenant(tenant, expectedKeys){
+		tenant = String(tenant ?? '');
+		if (Hwtr.isJWKS(expectedKeys)) {
+			expectedKeys = Hwtr.keysFromJWKS(expectedKeys);
+		}
+		const {current='', keys=[]} = expectedKeys ?? {};
+		if (!tenant || !keys.length) {
+			throw hwtrError('HWT_INVALID_KEY', `Hwtr tenant "${ tenant }" requires keys`);
+		}
+		const imported = await Promise.all(keys.map((config, i)=>this.importKey(config, i)));
+		const ring = {};
+		for (const key of imported) {
+			ring[key.id] = key;
+		}
+		ring.current = ring[current] ?? imported[0];
+		this.#tenants.set(tenant, ring);
+		return this;
+	}
+
+	removeTenant(tenant){
+		return this.#tenants.delete(String(tenant));
+	}
+
+	get tenants(){
+		return [...this.#tenants.keys()];
+	}
+
+	// ring entries are copies, binary secrets and masters included, independent of the caller's configs
+	static #ringEntry(config){
+		const entry = {...config};
+		for(const field of ['secret', 'master']){
+			if(entry[field]?.byteLength){
+				entry[field] = copyBytes(entry[field]);
+			}
+		}
+		return entry;
+	}
+
+	// {current, keys:[...]} as imported and rotated, to persist
+	get keyRing(){
+		return {current: this.#keys.current?.id ?? '', keys: [...this.#ring.values()]};
+	}
+
+	static #seconds(time){
+		return Math.floor(new Date(time).getTime() / 1000);
+	}
+
+	/* rotation makes the current key sign for everySeconds from when it was created
+	 * then promotes the oldest newer key in the ring, or generates one like the current key
+	 * keys derived from a master derive the next key from it, info is the current info and the new kid
+	 * the previous key is marked retired and verify-only for retainSeconds, then is dropped
+	 * rotation happens when tokens are created or by calling rotate()
+	 * 'rotate' events have detail {current, keys, added, retired, removed} with the key ring to persist
+
+	hwtr.addEventListener('rotate', ({detail})=>{
+		const {current, keys} = detail;
+		secrets.put('keys', JSON.stringify({current, keys}));
+	});
+
+	 * */
+	async rotate(){
+		return this.#rotateOnce();
+	}
+
+	// one rotation at a time, promoted keys can sign tokens until exp
+	#rotateOnce(exp){
+		this.#rotating ??= this.#rotate(exp).finally(()=>{
+			this.#rotating = null;
+		});
+		return this.#rotating;
+	}
+
+	async #rotate(exp){
+		const now = this.nowSeconds;
+		const previous = this.#keys.current;
+		const since = Hwtr.#seconds(previous.created);
+		let config = [...this.#ring.values()]
+			.filter(config=>!config.retired && Hwtr.#seconds(config.created) > since && !this.#unsignable(this.#keys[config.id], now, exp ?? now))
+			.sort((a, b)=>Hwtr.#seconds(a.created) - Hwtr.#seconds(b.created))[0];
+		if(!config){
+			let id = `key${ now.toString(36) }`;
+			for(let i = 2; this.#ring.has(id) || this.#keys[id]; i++){
+				id = `key${ now.toString(36) }_${ i }`;
+			}
+			const {master, info, alg} = this.#ring.get(previous.id) ?? {};
+			if(previous.sign){
+				config = await Hwtr.generateKeyPair({id, alg: previous.alg});
+			}else if(master !== undefined){
+				// derived keys stay derived from the master, with the kid added to info
+				config = {id, master, info: [info, id].filter(Boolean).join(' ')};
+				if(alg) config.alg = alg;
+			}else{
+				config = Hwtr.generateKey({id});
+			}
+			config.created = new Date(now * 1000).toISOString();
+		}
+		const key = this.#keys[config.id] ?? await this.importKey(config);
+		this.#keys[key.id] = key;
+		this.#ring.set(key.id, config);
+		const retired = new Date(now * 1000).toISOString();
+		const status = previous.status === 'revoked' ? 'revoked' : 'verify-only';
+		previous.status = status;
+		this.#ring.set(previous.id, {...this.#ring.get(previous.id), id: previous.id, status, retired});
+		this.#keys.current = key;
+		const removed = this.#dropRetired(now);
+		const detail = {...this.keyRing, added: key.id, retired: previous.id, removed};
+		this.dispatchEvent(new CustomEvent('rotate', {detail}));
+		return detail;
+	}
+
+	/* retired keys are dropped after retainSeconds, by default the longest lifetime of the tokens signed
+	 * since the instance started (at least expiresInSeconds) and leeway
+	 * set retainSeconds when longer lived tokens were signed before a restart or by other instances */
+	#dropRetired(now){
+		const removed = [];
+		const retainSeconds = this.#rotation.retainSeconds ?? Math.max(this.#expiresInSeconds, this.#issuedSeconds) + this.#leewaySeconds;
+		for(const [id, config] of this.#ring){
+			if(config.retired && Hwtr.#seconds(config.retired) + retainSeconds <= now){
+				this.#ring.delete(id);
+				delete this.#keys[id];
+				removed.push(id);
+			}
+		}
+		return removed;
+	}
+
+	async #rotateIfDue(exp){
+		const now = this.nowSeconds;
+		const current = this.#keys.current;
+		if(isNaN(current.created)){
+			// without created the key is new
+			current.created = new Date(now * 1000);
+		}
+		// also when the current key can't sign tokens until exp, ie notAfter is within the token lifetime
+		if(Hwtr.#seconds(current.created) + this.#rotation.everySeconds <= now || this.#unsignable(current, now, exp ?? now)){
+			return this.#rotateOnce(exp);
+		}
+		const removed = this.#dropRetired(now);
+		if(removed.length){
+			this.dispatchEvent(new CustomEvent('rotate', {detail: {...this.keyRing, added: null, retired: null, removed}}));
+		}
+	}
+
 	/* static factory for making HWT tokens, 
 	 * creates the "Hwtr" that stamps out HWT's (Hash-based Web Tokens) */
 	static async factory(keys, options){
@@ -457,22 +1033,26 @@ export default class Hwtr {
 		return data;
 	}
 
-	/* 22 is min shortened length, 86 is max; see above 'supports' */
+	/* 22 is min shortened length, 86 is max; see above 'supports'; ECDSA P-384 is 128 */
 	static isHwt(str){
-		return /(?:^|\.)[A-Za-z0-9_-]{22,86}(?:\.|$)/.test(str);
+		return /(?:^|\.)[A-Za-z0-9_-]{22,128}(?:\.|$)/.test(str);
 	}
 
 	isHwt(str){
 		return Hwtr.isHwt(str);
 	}
 
+	get prefix(){
+		return this.#prefix;
+	}
+
 	get nowSeconds(){
 		return Math.round(Date.now() / 1000);
 	}
 
-	create(dataShown, dataHidden){
-		const exp = this.nowSeconds + this.#expiresInSeconds;
-		return this._createWith(exp, dataShown, dataHidden);
+	create(dataShown, dataHidden, options){
+		const exp = this.nowSeconds + (this.#session?.idleSeconds ?? this.#expiresInSeconds);
+		return this._createWith(exp, dataShown, dataHidden, options);
 	}
 
 	expiresAt(secondsForward=this.#expiresInSeconds){
@@ -480,33 +1060,184 @@ export default class Hwtr {
 		return this.nowSeconds + s;
 	}
 
-	createWith(expiresInSeconds, dataShown, dataHidden){
+	createWith(expiresInSeconds, dataShown, dataHidden, options){
 		const exp = this.expiresAt(expiresInSeconds);
-		return this._createWith(exp, dataShown, dataHidden);
+		return this._createWith(exp, dataShown, dataHidden, options);
+	}
+
+	/* registered claims for the claims segment, JWT names:
+	 * iat issued at, nbf not before (UNIX seconds), iss issuer, aud audience, sub subject, jti token id
+	 * tid is the tenant, see addTenant(), pur is the purpose
+	 * options {issuer, audience, subject, jti, notBeforeSeconds, tenant, purpose} override instance options */
+	#claimsFor({issuer=this.#issuer, audience=this.#audience, subject, jti, notBeforeSeconds, tenant, purpose=this.#purpose}={}){
+		const claims = {};
+		const now = this.nowSeconds;
+		if(this.#claims){
+			claims.iat = now;
+			claims.jti = jti ?? bufferToBase64Url( crypto.getRandomValues(new Uint8Array(12)) );
+		}else if(jti !== undefined){
+			claims.jti = String(jti);
+		}
+		if(notBeforeSeconds !== undefined){
+			claims.nbf = now + this.numeric(notBeforeSeconds, 0, 0);
+		}
+		if(issuer) claims.iss = String(issuer);
+		if(audience && audience.length !== 0) claims.aud = audience;
+		if(subject !== undefined) claims.sub = String(subject);
+		if(tenant !== undefined) claims.tid = String(tenant);
+		if(purpose) claims.pur = String(purpose);
+		if(this.#session){
+			// sessions start now and never expire after max
+			claims.oat = now;
+			claims.max = now + this.#session.absoluteSeconds;
+		}
+		return claims;
+	}
+
+	/* the optional claims segment is base64url JSON after the payload
+	 * signed as exp.format.payload.claims.hidden, with hidden always present (empty when none)
+	 * so it can't be confused with exp.format.payload.hidden for tokens without claims
+	 * prefixes other than 'hwt' are signed first, prefix.exp..., which can't be confused with exp (a number) */
+	#signingInput(exp, format, item, claims, itemHidden){
+		const input = this.#prefix === 'hwt' ? [exp, format, item] : [this.#prefix, exp, format, item];
+		if(claims !== undefined){
+			input.push(claims, itemHidden ?? '');
+		}else if(itemHidden !== undefined){
+			input.push(itemHidden);
+		}
+		return input.join(this.separator);
+	}
+
+	// hidden data isn't in the token, codecs like jz have encodeHidden to skip work like compression
+	static #encodeHidden(codec, data){
+		return codec.encodeHidden ? codec.encodeHidden(data) : codec.encode(data);
+	}
+
+	/* encrypted payloads have the format suffix '-e', ie 'j-e'
+	 * payload is base64url of iv (12 bytes) and AES-GCM ciphertext, hidden input is the additional data */
+	static #encrypted = '-e';
+
+	async #encryptData(key, bytes, hiddenBytes=emptyArray){
+		if(!key.encryptKey){
+			throw hwtrError('HWT_KEY_CANNOT_ENCRYPT', `Hwtr key "${ key.id }" can't encrypt, requires a secret`);
+		}
+		const iv = crypto.getRandomValues(new Uint8Array(12));
+		const ciphertext = new Uint8Array( await crypto.subtle.encrypt(
+			{name: 'AES-GCM', iv, additionalData: hiddenBytes}, key.encryptKey, bytes) );
+		const result = new Uint8Array(iv.length + ciphertext.length);
+		result.set(iv);
+		result.set(ciphertext, iv.length);
+		return result;
+	}
+
+	async #decryptData(key, bytes, hiddenBytes=emptyArray){
+		const plaintext = await crypto.subtle.decrypt(
+			{name: 'AES-GCM', iv: bytes.subarray(0, 12), additionalData: hiddenBytes}, key.encryptKey, bytes.subarray(12));
+		return new Uint8Array(plaintext);
 	}
 
 	// generate a signature with omitted values
-	async _createWith(exp, dataShown, dataHidden){
-		const { format, separator } = this;
-		const codec = Hwtr.#codecs[format];
-		const item = bufferToBase64Url( codec.encode(dataShown) );
-		// sig.keyid.exp.format.payload
-		const payload = [exp, format, item];
-		let hidden;
+	async _createWith(exp, dataShown, dataHidden, options={}){
+		const claims = this.#claimsFor(options);
+		exp = Math.min(exp, claims.max ?? Infinity);
+		const key = await this.#signingKey(options.tenant, exp);
+		return this.#sign(key, exp, dataShown, dataHidden, options, claims);
+	}
+
+	/* create a batch of tokens, in order
+	 * items are {data, hidden, expiresInSeconds, options} like createWith(expiresInSeconds, data, hidden, options)
+	 * the signing key resolves (and rotates) once per tenant, for its latest expiry, and tokens sign concurrently */
+	async createMany(items=[]){
+		const batch = items.map(({data, hidden, expiresInSeconds, options={}}={})=>{
+			const tenant = options.tenant === undefined ? undefined : String(options.tenant);
+			const claims = this.#claimsFor(options);
+			const exp = Math.min(this.expiresAt(expiresInSeconds ?? this.#session?.idleSeconds), claims.max ?? Infinity);
+			return {data, hidden, options, tenant, claims, exp};
+		});
+		const latest = new Map();
+		for(const {tenant, exp} of batch){
+			latest.set(tenant, Math.max(exp, latest.get(tenant) ?? 0));
+		}
+		const keys = new Map();
+		for(const [tenant, exp] of latest){
+			keys.set(tenant, await this.#signingKey(tenant, exp));
+		}
+		return Promise.all(batch.map(({data, hidden, options, tenant, claims, exp})=>
+			this.#sign(keys.get(tenant), exp, data, hidden, options, claims)));
+	}
+
+	// the current key of the tenant or the instance, rotated when due or when it can't sign until exp
+	async #signingKey(tenant, exp){
+		if(tenant !== undefined){
+			const key = this.#tenants.get(String(tenant))?.current;
+			if(!key){
+				throw hwtrError('HWT_UNKNOWN_TENANT', `hwt unknown tenant "${ tenant }"`);
+			}
+			return key;
+		}
+		if(this.#rotation){
+			await this.#rotateIfDue(exp);
+		}
+		return this.#keys.current;
+	}
+
+	// codec errors, ie circular data or BigInt in JSON, are HWT_ENCODING_FAILED with the error as cause, HwtrErrors as they are
+	static #encodeOrFail(encode){
+		const fail = (error)=>{
+			if(error instanceof HwtrError) throw error;
+			throw hwtrError('HWT_ENCODING_FAILED', `hwt data encoding failed, ${ error?.message ?? error }`, {cause: error});
+		};
+		try {
+			const bytes = encode();
+			return isThenable(bytes) ? bytes.then(null, fail) : bytes;
+		} catch (error) {
+			fail(error);
+		}
+	}
+
+	async #sign(key, exp, dataShown, dataHidden, options, claims, baseFormat=this.format){
+		const { separator } = this;
+		const now = this.nowSeconds;
+		const unsignable = this.#unsignable(key, now, exp);
+		if(unsignable){
+			throw hwtrError('HWT_KEY_CANNOT_SIGN', `hwt key "${ key.id }" can't sign, ${ unsignable }`);
+		}
+		this.#issuedSeconds = Math.max(this.#issuedSeconds, exp - now);
+		const encrypt = options.encrypt ?? this.#encrypt;
+		const codec = Hwtr.#codecs[baseFormat];
+		const format = encrypt ? baseFormat + Hwtr.#encrypted : baseFormat;
+		let hiddenBytes;
 		if(dataHidden !== undefined){
 		// NOTE NO HIDDEN IN PAYLOAD
-			const itemHidden = bufferToBase64Url( codec.encode(dataHidden) );
-			// exp.format.payload.hidden
-			hidden = [...payload, itemHidden];
+			hiddenBytes = Hwtr.#encodeOrFail(()=>Hwtr.#encodeHidden(codec, dataHidden));
+			if(isThenable(hiddenBytes)) hiddenBytes = await hiddenBytes;
 		}
-		const [sig, kid] = await this.generate( (hidden ?? payload).join(separator) );
-		// sig HAS: sig.keyid; payload HAS: exp.format.payload
-		// return hwt.sig.keyid.exp.format.payload
+		if(codec.validate){
+			const { issues, error } = await Hwtr.#validate(codec, dataShown);
+			if(issues){
+				throw hwtrError('HWT_SCHEMA_MISMATCH', error, {issues});
+			}
+		}
+		let bytes = Hwtr.#encodeOrFail(()=>codec.encode(dataShown));
+		if(isThenable(bytes)) bytes = await bytes;
+		if(encrypt){
+			bytes = await this.#encryptData(key, bytes, hiddenBytes);
+		}
+		const item = bufferToBase64Url( bytes );
+		// sig.keyid.exp.format.payload
+		const payload = [exp, format, item];
+		if(Object.keys(claims).length){
+			payload.push( Hwtr.textToBase64Url( JSON.stringify(claims) ) );
+		}
+		const itemHidden = hiddenBytes && bufferToBase64Url( hiddenBytes );
+		const [sig, kid] = await this.generate( this.#signingInput(exp, format, item, payload[3], itemHidden), { key } );
+		// sig HAS: sig.keyid; payload HAS: exp.format.payload(.claims)
+		// return hwt.sig.keyid.exp.format.payload(.claims)
 		const token = [this.#prefix, sig, kid, ...payload].join(separator);
 		const max = this.#maxTokenSizeBytes;
 		if(token.length > max){
 			if(this.#errorOnInvalid){
-				throw new Error(`hwt size exceeded ${ max } bytes`);
+				throw hwtrError('HWT_SIZE_EXCEEDED', `hwt size exceeded ${ max } bytes`);
 			}
 			// corrup the token
 			return token.slice(0, max);
@@ -514,55 +1245,153 @@ export default class Hwtr {
 		return token;
 	}
 
+	/* parse a token without verifying it, for support tools and logs, never throws
+	 * every segment with its size in bytes, the signature isn't checked so trusted is always false
+	 * the instance method adds knownKid, whether the kid (for the tenant) is imported */
+	static async inspect(token){
+		const result = {trusted: false, parsed: false, error: '', code: '', knownKid: null};
+		try {
+			if (typeof token !== 'string') {
+				result.error = `hwt invalid`;
+				result.code = 'HWT_INVALID';
+				return result;
+			}
+			const separator = '.';
+			const parts = token.split(separator);
+			const names = ['prefix', 'signature', 'kid', 'exp', 'format', 'payload', 'claims'];
+			const [prefix, signature='', kid, exp, format='', dataShown, claims] = parts;
+			result.segments = parts.map((text, i)=>({name: names[i] ?? `extra${ i - names.length + 1 }`, text, bytes: textEncoder.encode(text).length}));
+			result.bytes = {
+				...Object.fromEntries(result.segments.map(({name, bytes})=>[name, bytes])),
+				separators: parts.length - 1,
+				total: textEncoder.encode(token).length
+			};
+			Object.assign(result, {prefix, signature, signatureLength: signature.length, kid, format});
+			// base64url signature bytes
+			result.signatureBytes = Math.floor(signature.length * 3 / 4);
+			result.exp = Number(exp) || 0;
+			const expires = new Date(result.exp * 1000);
+			result.expires = isNaN(expires) ? null : expires;
+			result.expired = result.exp * 1000 <= Date.now();
+			result.encrypted = format.endsWith(Hwtr.#encrypted);
+			if (claims !== undefined) {
+				result.claims = Hwtr.parseClaims(claims);
+			}
+			if (parts.length < 6 || parts.length > 7) {
+				result.error = `hwt invalid format`;
+				result.code = 'HWT_INVALID_FORMAT';
+				return result;
+			}
+			result.payload = base64urlToUint8Array(dataShown);
+			result.payloadBytes = result.payload.length;
+			if (result.encrypted) {
+				result.error = `hwt data encrypted`;
+				result.code = 'HWT_ENCRYPTED';
+				return result;
+			}
+			const codec = Hwtr.#codecs[format];
+			if (!codec) {
+				result.error = `hwt unknown encoding "${ format }"`;
+				result.code = 'HWT_UNKNOWN_FORMAT';
+				return result;
+			}
+			result.formatDeprecated = Hwtr.#deprecated.has(format);
+			result.data = await codec.decode(result.payload);
+			result.parsed = true;
+		} catch (error) {
+			result.error = `hwt data decoding failed`;
+			result.code = 'HWT_DECODING_FAILED';
+		}
+		return result;
+	}
+
+	async inspect(token){
+		const result = await Hwtr.inspect(token);
+		if (result.kid) {
+			const tenant = result.claims?.tid;
+			const keys = tenant === undefined ? this.#keys : this.#tenants.get(tenant);
+			result.knownKid = result.kid !== 'current' && !!keys && Object.hasOwn(keys, result.kid);
+		}
+		return result;
+	}
+
 	async decode(payload=''){
 		const result = {data:null};
 		const { separator } = this;
 		const parts = payload.split(separator);
 
-		const [prefix, sig, kid, exp, format, dataShown] = parts;
+		const [prefix, sig, kid, exp, format, dataShown, claims] = parts;
 
 		result.expires = Number(exp) || 0;
+		if (claims) {
+			result.claims = Hwtr.parseClaims(claims);
+		}
+
+		if (format?.endsWith(Hwtr.#encrypted)) {
+			// requires the key and hidden input, see verify
+			result.encrypted = true;
+			result.error = `hwt data encrypted`;
+			result.code = 'HWT_ENCRYPTED';
+			return result;
+		}
 
 		const codec = Hwtr.#codecs[format || this.format];
 		if (!codec) {
 			result.error = `hwt unknown encoding "${ format }"`;
+			result.code = 'HWT_UNKNOWN_FORMAT';
+			return result;
+		}
+		if (Hwtr.#deprecated.has(format)) {
+			result.formatDeprecated = true;
 		}
 
 		try {
 			result.data = codec.decode( base64urlToUint8Array( dataShown ) );
+			if (isThenable(result.data)) result.data = await result.data;
 		} catch (decodeError) {
 			result.error = `hwt data decoding failed`;
+			result.code = 'HWT_DECODING_FAILED';
 		}
 
 		return result;
 	}
 
-	async verify(payload, dataHidden) {
+	/* options {issuer, audience, subject, tenant, purpose} are required claims, default to the instance options
+	 * tokens with a tenant verify with its keys, see addTenant() */
+	async verify(payload, dataHidden, options={}) {
+		return this.#verify(payload, dataHidden, options);
+	}
+
+	/* verify a batch, results in order, hiddenList has the hidden input by index
+	 * tokens are split once, keys resolve once per kid (and tenant) for all of its tokens
+	 * and every token verifies concurrently so WebCrypto checks signatures in parallel */
+	async verifyMany(tokens=[], hiddenList=[], options={}) {
+		const keys = new Map();
+		return Promise.all(tokens.map((token, i)=>{
+			const parts = typeof token === 'string' ? token.split(this.separator) : undefined;
+			return this.#verify(token, hiddenList[i], options, parts, keys);
+		}));
+	}
+
+	// parts and keys (a Map of resolved keys) are from verifyMany, verifyOnce renews after recording the token
+	async #verify(payload, dataHidden, options={}, parts, keys, renew=true) {
 		// Initialize result structure
 		const result = { ok: false, data: null };
 		if (typeof payload !== 'string' 
-			|| payload.indexOf(this.#prefix) !== 0 
+			|| payload.indexOf(this.#prefix + this.separator) !== 0 
 			|| payload?.length > this.#maxTokenSizeBytes
 		) {
-			result.error = `hwt invalid`;
-			if (this.#errorOnInvalid) {
-				throw new Error(result.error);
-			}
-			return result;
+			return this.#fail(result, 'HWT_INVALID', `hwt invalid`);
 		}
 		const { separator } = this;
 		// return hwt.sig.keyid.exp.format.payload
-		const parts = payload.split(separator);
-		if (parts.length < 6) {
-			result.error = `hwt invalid format`;
-			if (this.#errorOnInvalid) {
-				throw new Error(result.error);
-			}
-			return result;
+		parts ??= payload.split(separator);
+		if (parts.length < 6 || parts.length > 7) {
+			return this.#fail(result, 'HWT_INVALID_FORMAT', `hwt invalid format`);
 		}
 		
 		// Extract token components
-		const [prefix, sig, kid, exp, format, dataShown] = parts;
+		const [prefix, sig, kid, exp, format, dataShown, claims] = parts;
 
 		const time = this.isExpired(exp);
 		result.validTime = time.validTime;
@@ -571,78 +1400,438 @@ export default class Hwtr {
 		if(time.expired){
 			result.withinLeeway = time.withinLeeway;
 			if (!result.validTime){
-				result.error = `hwt expired`;
-				if (this.#errorOnExpired) {
-					throw new Error(result.error);
-				}
-				return result;
+				return this.#fail(result, 'HWT_EXPIRED', `hwt expired`, this.#errorOnExpired);
 			}
 		}
 
+		// encrypted payloads have the suffix, ie 'j-e'
+		const encrypted = format.endsWith(Hwtr.#encrypted);
 		// NOTE ONLY the empty encoder '' defaults to default encoder j
-		const codec = Hwtr.#codecs[format || this.format];
+		const baseFormat = (encrypted ? format.slice(0, -Hwtr.#encrypted.length) : format) || this.format;
+		const codec = Hwtr.#codecs[baseFormat];
 		if (!codec) {
-			result.error = `hwt unknown encoding "${ format }"`;
-			if (this.#errorOnEncoding) {
-				throw new Error(result.error);
-			}
-			return result;
+			return this.#fail(result, 'HWT_UNKNOWN_FORMAT', `hwt unknown encoding "${ format }"`, this.#errorOnEncoding);
+		}
+		if (Hwtr.#deprecated.has(baseFormat)) {
+			result.formatDeprecated = true;
 		}
 
-		let hidden = [exp, format, dataShown];
+		let hidden, hiddenBytes;
 		try{
-			// exp.format.payload
+			// exp.format.payload(.claims)
+			let itemHidden;
 			if (dataHidden !== undefined) {
-			// exp.format.payload.hidden
-				const itemHidden = bufferToBase64Url( codec.encode(dataHidden) );
-				hidden.push( itemHidden );
+			// exp.format.payload(.claims).hidden
+				hiddenBytes = Hwtr.#encodeHidden(codec, dataHidden);
+				if (isThenable(hiddenBytes)) hiddenBytes = await hiddenBytes;
+				itemHidden = bufferToBase64Url( hiddenBytes );
 			}
+			hidden = this.#signingInput(exp, format, dataShown, claims, itemHidden);
 		} catch (error) {
-			result.error = `hwt data encoding failed`;
-			if (this.#errorOnEncoding) {
-				throw new Error(result.error);
-			}
-			return result;
+			return this.#fail(result, 'HWT_ENCODING_FAILED', `hwt data encoding failed`, this.#errorOnEncoding);
 		}
 
 		// Get the key and verify
-		const key = this.#keys[kid];
+		const tenant = claims === undefined ? undefined : Hwtr.parseClaims(claims)?.tid;
+		if (options.tenant !== undefined && String(options.tenant) !== tenant) {
+			return this.#fail(result, 'HWT_TENANT_MISMATCH', `hwt tenant mismatch`);
+		}
+		const keyId = `${ tenant ?? '' }.${ kid }`;
+		let key = keys?.get(keyId);
+		if (key === undefined) {
+			key = this.#verifyingKey(tenant, kid);
+			keys?.set(keyId, key);
+		}
+		key = await key;
+		if (key === false) {
+			return this.#fail(result, 'HWT_UNKNOWN_TENANT', `hwt unknown tenant`);
+		}
 		if (!key) {
-			result.error = `hwt unknown key`;
-			if (this.#errorOnInvalid) {
-				throw new Error(result.error);
-			}
-			return result;
+			return this.#fail(result, 'HWT_UNKNOWN_KEY', `hwt unknown key`);
+		}
+		if (key.status === 'revoked') {
+			return this.#fail(result, 'HWT_KEY_REVOKED', `hwt key revoked`);
+		}
+		// tokens expire within the key's validity window
+		if (key.notBefore > result.expires) {
+			return this.#fail(result, 'HWT_KEY_NOT_YET_VALID', `hwt key not yet valid`);
+		}
+		if (key.notAfter < result.expires) {
+			return this.#fail(result, 'HWT_KEY_EXPIRED', `hwt key expired`);
+		}
+		if (key.sign) {
+			// asymmetric keys verify with the public key
+			result.ok = await this.#verifySignature(hidden, sig, key);
+		} else {
+			// generate signature for comparison
+			const [resign] = await this.generate(hidden, { key });
+			result.ok = timingSafeEqual(sig, resign);
 		}
-		// generate signature for comparison
-		const [resign] = await this.generate(hidden.join(separator), { key });
-		result.ok = timingSafeEqual(sig, resign);
 
 		if (!result.ok) {
-			result.error = `hwt invalid signature`;
-			if (this.#errorOnInvalid) {
-				throw new Error(result.error);
-			}
+			return this.#fail(result, 'HWT_INVALID_SIGNATURE', `hwt invalid signature`);
+		}
+
+		if (!this.#verifyClaims(claims, result, options)) {
 			return result;
 		}
 
+		if (this.#revocations && await this.#isRevoked(await this.#tokenDigest(parts), result.claims)) {
+			return this.#fail(result, 'HWT_REVOKED', `hwt revoked`);
+		}
+
+		let bytes = base64urlToUint8Array( dataShown );
+		if (encrypted) {
+			result.encrypted = true;
+			try {
+				bytes = await this.#decryptData(key, bytes, hiddenBytes);
+			} catch (decryptError) {
+				return this.#fail(result, 'HWT_DECRYPTION_FAILED', `hwt decryption failed`);
+			}
+		}
+
 		// Decode the payload
 		try {
 			// ALWAYS send Uint8Array buffer to decode from base64url string
 			// each can convert to text with textDecoder.decode( buffer )
-			result.data = codec.decode( base64urlToUint8Array( dataShown ) );
+			result.data = codec.decode( bytes );
+			if (isThenable(result.data)) result.data = await result.data;
 		} catch (decodeError) {
 			result.data = null;
 			result.ok = false;
 			result.error = `hwt data decoding failed`;
+			result.code = 'HWT_DECODING_FAILED';
+		}
+
+		// schema formats reject the data before it's returned
+		if (result.ok && codec.validate) {
+			const { value, issues, error } = await Hwtr.#validate(codec, result.data);
+			if (issues) {
+				result.data = null;
+				result.issues = issues;
+				return this.#fail(result, 'HWT_SCHEMA_MISMATCH', error);
+			}
+			result.data = value;
+		}
+
+		if (result.ok && renew) {
+			await this.#renew(result, payload, dataHidden);
 		}
 
 		return result;
 	}
+
+	/* session tokens renew once renewAfter of the idle window has passed, never after max
+	 * sets result.shouldRenew and result.renewed, the renewed token
+	 * when signing fails, ie the current key can't sign, the token is still valid and has no renewed */
+	async #renew(result, payload, dataHidden){
+		if (!this.#session || result.claims?.oat === undefined) {
+			return result;
+		}
+		const {idleSeconds, renewAfter} = this.#session;
+		const now = this.nowSeconds;
+		const max = Number(result.claims.max ?? Infinity);
+		const idle = now - (result.expires - idleSeconds);
+		result.shouldRenew = idle >= idleSeconds * renewAfter && result.expires < max && now < max;
+		if (result.shouldRenew) {
+			try {
+				const renewed = await this.#reissue(payload, result, dataHidden, idleSeconds);
+				if (renewed.token) {
+					result.renewed = renewed.token;
+				}
+			} catch (error) {
+				// renews on a later verify
+			}
+		}
+		return result;
+	}
 	
+	static parseClaims(segment=''){
+		try {
+			const claims = JSON.parse( Hwtr.base64urlToText(segment) );
+			if (claims && typeof claims === 'object' && !Array.isArray(claims)) {
+				return claims;
+			}
+		} catch (error) {
+			// invalid below
+		}
+		return null;
+	}
+
+	// the key for kid, from the tenant, the instance or the key provider, false for unknown tenants
+	#verifyingKey(tenant, kid){
+		const keys = tenant === undefined ? this.#keys : this.#tenants.get(tenant);
+		if (!keys) {
+			return false;
+		}
+		// own kids only, ie not constructor or __proto__
+		if (Object.hasOwn(keys, kid)) {
+			return keys[kid];
+		}
+		return this.#keyProvider && keys === this.#keys ? this.#provideKey(kid) : null;
+	}
+
+	#fail(result, code, error, raise=this.#errorOnInvalid){
+		result.ok = false;
+		result.error = error;
+		result.code = code;
+		if (raise) {
+			throw hwtrError(code, error, result.issues && {issues: result.issues});
+		}
+		return result;
+	}
+
+	/* codecs with validate(data) check the shown data, returning {value} or {issues} like Standard Schema
+	 * value is returned from verify so schemas can convert types, issue paths are joined with '.' */
+	static async #validate(codec, data){
+		let checked;
+		try {
+			checked = codec.validate(data);
+			if (isThenable(checked)) checked = await checked;
+		} catch (error) {
+			checked = {issues: [{message: error.message}]};
+		}
+		if (!checked?.issues) {
+			return {value: checked && 'value' in checked ? checked.value : data};
+		}
+		const issues = Array.from(checked.issues, ({path=[], message}) => ({
+			path: path.map(segment => segment?.key ?? segment).join('.'),
+			message: String(message)
+		}));
+		const error = `hwt schema mismatch ${ issues.map(({path, message}) => path ? `${ path } ${ message }` : message).join('; ') }`;
+		return {issues, error};
+	}
+
+	// checks signed claims against the options or instance policy, false when invalid
+	#verifyClaims(segment, result, {issuer=this.#issuer, audience=this.#audience, subject, purpose=this.#purpose}={}){
+		// tokens without a claims segment have none but may still be required
+		const claims = segment === undefined ? {} : Hwtr.parseClaims(segment);
+		if (!claims) {
+			this.#fail(result, 'HWT_INVALID_FORMAT', `hwt invalid format`);
+			return false;
+		}
+		if (segment !== undefined) {
+			result.claims = claims;
+		}
+		const now = this.nowSeconds;
+		const leeway = this.#leewaySeconds;
+		if (claims.nbf !== undefined && !(Number(claims.nbf) <= now + leeway)) {
+			result.validTime = false;
+			this.#fail(result, 'HWT_NOT_YET_VALID', `hwt not yet valid`, this.#errorOnExpired);
+			return false;
+		}
+		if (claims.iat !== undefined && !(Number(claims.iat) <= now + leeway)) {
+			result.validTime = false;
+			this.#fail(result, 'HWT_ISSUED_IN_FUTURE', `hwt issued in the future`, this.#errorOnExpired);
+			return false;
+		}
+		if (issuer && claims.iss !== issuer) {
+			this.#fail(result, 'HWT_ISSUER_MISMATCH', `hwt issuer mismatch`);
+			return false;
+		}
+		if (audience && audience.length !== 0) {
+			const expected = [].concat(audience);
+			const actual = [].concat(claims.aud ?? []);
+			if (!actual.some(aud=>expected.includes(aud))) {
+				this.#fail(result, 'HWT_AUDIENCE_MISMATCH', `hwt audience mismatch`);
+				return false;
+			}
+		}
+		if (subject !== undefined && claims.sub !== String(subject)) {
+			this.#fail(result, 'HWT_SUBJECT_MISMATCH', `hwt subject mismatch`);
+			return false;
+		}
+		// tokens with a purpose are only for it, and without one aren't for any
+		if ((claims.pur ?? '') !== (purpose ? String(purpose) : '')) {
+			this.#fail(result, 'HWT_PURPOSE_MISMATCH', `hwt purpose mismatch`);
+			return false;
+		}
+		return true;
+	}
+
+	/* reissue a valid token with a new expiry, signed by the current key (tenant tokens by the tenant's)
+	 * data, format and claims are kept, iat is updated and oat is the original issue time (iat or now)
+	 * maxTotalLifetime seconds from oat sets max, the absolute expiry tokens are never refreshed past
+	 * options {hidden, expiresInSeconds, maxTotalLifetime} and verify options {issuer, audience, subject, tenant, purpose}
+	 * sessions default to their idle and absolute seconds
+	 * returns {ok, token, data, expires, claims} or the failed result */
+	async refresh(token, {
+		hidden,
+		expiresInSeconds=this.#session?.idleSeconds ?? this.#expiresInSeconds,
+		maxTotalLifetime=this.#session?.absoluteSeconds,
+		...options
+	}={}) {
+		const verified = await this.verify(token, hidden, options);
+		if (!verified.ok) {
+			return verified;
+		}
+		return this.#reissue(token, verified, hidden, expiresInSeconds, maxTotalLifetime);
+	}
+
+	async #reissue(token, verified, hidden, expiresInSeconds, maxTotalLifetime) {
+		const now = this.nowSeconds;
+		// nbf has passed
+		const {nbf, ...claims} = verified.claims ?? {};
+		claims.oat = Number(claims.oat ?? claims.iat) || now;
+		if (claims.iat !== undefined) {
+			claims.iat = now;
+		}
+		if (maxTotalLifetime !== undefined) {
+			const max = claims.oat + this.numeric(maxTotalLifetime, 0, 0);
+			claims.max = claims.max === undefined ? max : Math.min(Number(claims.max), max);
+		}
+		const result = {ok: false, data: null, claims};
+		if (claims.max !== undefined && !(Number(claims.max) > now)) {
+			result.expires = Number(claims.max);
+			return this.#fail(result, 'HWT_LIFETIME_EXCEEDED', `hwt lifetime exceeded`, this.#errorOnExpired);
+		}
+		const exp = Math.min(now + this.numeric(expiresInSeconds, this.#expiresInSeconds, 1), Number(claims.max ?? Infinity));
+		let format = token.split(this.separator)[4] || this.format;
+		if (verified.encrypted) {
+			format = format.slice(0, -Hwtr.#encrypted.length);
+		}
+		// deprecated formats reissue as the alias target or the instance format
+		format = Hwtr.#aliases[format] ?? format;
+		if (Hwtr.#deprecated.has(format)) {
+			format = this.format;
+		}
+		const key = await this.#signingKey(claims.tid, exp);
+		result.token = await this.#sign(key, exp, verified.data, hidden, {tenant: claims.tid, encrypt: !!verified.encrypted}, claims, format);
+		result.ok = true;
+		result.data = verified.data;
+		result.expires = exp;
+		return result;
+	}
+
+	/* one-time-use tokens, like OAuth state and email confirmation links
+	 * verifies then records the token as used in the nonces store until it expires
+	 * presenting it again is 'hwt replayed' */
+	async verifyOnce(payload, dataHidden, options) {
+		const store = this.#nonces;
+		if (!store) {
+			throw hwtrError('HWT_CONFIG', `Hwtr verifyOnce requires a nonces store`);
+		}
+		// session tokens renew once recorded, replays never get a renewed token
+		const result = await this.#verify(payload, dataHidden, options, undefined, undefined, false);
+		if (!result.ok) {
+			return result;
+		}
+		// a rewritten signature is the same token
+		const digest = await this.#tokenDigest(payload.split(this.separator));
+		const added = await store.add(`once:${ digest }`, this.nowSeconds, result.expires + this.#leewaySeconds);
+		if (!added) {
+			result.data = null;
+			return this.#fail(result, 'HWT_REPLAYED', `hwt replayed`);
+		}
+		return this.#renew(result, payload, dataHidden);
+	}
+
+	/* revoke before expiration by token (default), token id or subject
+	 * revoke(token) revoke(token, {by:'jti'}) revoke(token, {by:'subject'})
+	 * revoke({jti}) revoke({subject}) with optional {expires} in UNIX seconds
+	 * entries expire with the token, or a year (the longest token) when that isn't known
+	 * subjects revoke all their tokens issued until now that have an issue time, iat with {claims: true} or a session oat
+	 * tokens without one can't be told apart from later tokens, revoke them by token or jti */
+	async revoke(token, {by='token', expires}={}){
+		const store = this.#revocations;
+		if (!store) {
+			throw hwtrError('HWT_CONFIG', `Hwtr revoke requires a revocations store`);
+		}
+		const now = this.nowSeconds;
+		let target = token;
+		if (typeof token === 'string') {
+			const parts = token.split(this.separator);
+			const [prefix, signature, kid, exp, format, dataShown, claims] = parts;
+			const {jti, sub: subject} = Hwtr.parseClaims(claims) ?? {};
+			// 'signature' is the earlier name for by token
+			if (by === 'signature') by = 'token';
+			target = {[by]: by === 'token' ? await this.#tokenDigest(parts) : {jti, subject}[by]};
+			expires ??= Number(exp) || undefined;
+		}
+		expires = (Number(expires) || now + 31557600) + this.#leewaySeconds;
+		const {token: digest, jti, subject} = target ?? {};
+		if (digest) {
+			await store.set(`tok:${ digest }`, now, expires);
+		} else if (jti !== undefined) {
+			await store.set(`jti:${ jti }`, now, expires);
+		} else if (subject !== undefined) {
+			await store.set(`sub:${ subject }`, now, expires);
+		} else {
+			throw hwtrError('HWT_INVALID_ARGUMENT', `Hwtr revoke requires a token, jti or subject`);
+		}
+		return true;
+	}
+
+	/* tokens are identified by a digest of the token with its signature in a canonical form
+	 * the signature covers the hidden input, so tokens that differ only in hidden data differ
+	 * ECDSA signatures aren't unique, (r, n - s) also verifies, so s is the lower of the two */
+	async #tokenDigest(parts){
+		const content = parts.map((part, i) => i === 1 ? Hwtr.#canonicalSignature(part) : part).join(this.separator);
+		const digest = await crypto.subtle.digest('SHA-256', this.stringToBuffer(content));
+		return bufferToBase64Url(new Uint8Array(digest));
+	}
+
+	// P-256 and P-384 curve orders by signature size (r || s) in bytes
+	static #curveOrders = {
+		64: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+		96: 0xffffffffffffffffffffffffffffffffffffffffffffffffc7634d81f4372ddf581a0db248b0a77aecec196accc52973n,
+	};
+
+	/* other signatures of those sizes map the same way, harmless as they're unique for their content */
+	static #canonicalSignature(sig){
+		const bytes = base64urlToUint8Array(sig);
+		const order = Hwtr.#curveOrders[bytes.length];
+		if (!order) {
+			return sig;
+		}
+		const size = bytes.length / 2;
+		const s = BigInt('0x' + Array.from(bytes.subarray(size), byte => byte.toString(16).padStart(2, '0')).join(''));
+		if (s <= order / 2n || s >= order) {
+			return sig;
+		}
+		const low = (order - s).toString(16).padStart(size * 2, '0');
+		for (let i = 0; i < size; i++) {
+			bytes[size + i] = parseInt(low.slice(i * 2, i * 2 + 2), 16);
+		}
+		return bufferToBase64Url(bytes);
+	}
+
+	async #isRevoked(digest, {jti, sub, iat, oat}={}){
+		const store = this.#revocations;
+		const checks = [store.get(`tok:${ digest }`)];
+		if (jti !== undefined) checks.push(store.get(`jti:${ jti }`));
+		const [byToken, byId] = await Promise.all(checks);
+		if (byToken !== undefined || byId !== undefined) {
+			return true;
+		}
+		// the issue time, iat with claims or the session start oat, tells tokens from before the revocation
+		const issued = Number(iat ?? oat);
+		if (sub !== undefined && !isNaN(issued)) {
+			const revokedAt = await store.get(`sub:${ sub }`);
+			// tokens issued after the subject was revoked are valid
+			return revokedAt !== undefined && !(issued > revokedAt);
+		}
+		return false;
+	}
+
 	// constant-time comparison
 	static timingSafeEqual = timingSafeEqual;
 
+	async #verifySignature(text, sig, key) {
+		let dataBuffer = null;
+		try {
+			dataBuffer = this.stringToBuffer(text);
+			return await crypto.subtle.verify(key.sign, key.verifyKey, base64urlToUint8Array(sig), dataBuffer);
+		} catch (error) {
+			// malformed signatures are invalid rather than errors
+			return false;
+		} finally {
+			if (dataBuffer) {
+				clearBuffer(dataBuffer);
+			}
+		}
+	}
+
 	async generate(text, options={}) {
 		const { separator } = this;
 		const {key=this.#keys.current, signatureSize=this.signatureSize} = options;
@@ -653,19 +1842,20 @@ export default class Hwtr {
 			
 			dataBuffer = this.stringToBuffer(dataString);
 			const hmac = await crypto.subtle.sign(
-				'HMAC',
+				key.sign ?? 'HMAC',
 				key.key,
 				dataBuffer
 			);
 
 			let sig = bufferToBase64Url(hmac);
-			if(signatureSize) {
+			// asymmetric signatures are verified whole so never shortened
+			if(signatureSize && !key.sign) {
 				sig = sig.slice(0, signatureSize);
 			}
 			// NOTE returns `signature.kid`
 			return [sig, key.id, hmac];
 		} catch (error) {
-			const err = new Error(`hwt failed to generate HMAC signature`);
+			const err = hwtrError('HWT_SIGNING_FAILED', `hwt failed to generate ${ key?.alg ?? 'HMAC' } signature`, {cause: error});
 			if(this.#errorOnGenerate) {
 				throw err;
 			}
@@ -686,9 +1876,8 @@ custom data formats
 tokens have a specific format for the payload portion which is customizable
 this payload is returned from the verify method on the data property ({data:payload})
 the default token-data payload format is JSON as base64url abbreviated 'j'
-it's possible to add additional formats and there's an example
-that works and is available to use for MessagePack and CBOR in hwtr.codecs.js
-it's not included by default because it has external dependencies
+it's possible to add additional formats, hwtr.formats.js has
+JSON 'j', 'jx', 'jz', CBOR 'cb' and MessagePack 'mp' without dependencies
 
 the token format is in the tokens:
 hwt.signature.keyid.unix-time-seconds.format.payload
@@ -696,6 +1885,10 @@ hwt.23DcBx1kD8_PLvo4IDoNxo.key1.1234567890.j.MjAyNQ
 
 note the default "j", the payload uses this format (j for JSON)
 
+encode and decode can return a Promise, for codecs using CompressionStream, crypto.subtle or WASM
+optional encodeHidden is used for hidden data, which isn't in the token, ie jz doesn't compress it
+optional validate checks the shown data when created and verified, see withSchema() in hwtr.formats.js
+
 the following example shows how to use CBOR and MessagePack with recommended names
 note that the name used appears in all tokens and the library expects that codec
 the only exception for a name mismatch is an empty value, which uses the default j/JSON
@@ -703,11 +1896,9 @@ the only exception for a name mismatch is an empty value, which uses the default
 
 ```js
 
-	// because these rely on external libraries they're not included by default
-	import { cbor, msgpack } from './hwtr.codecs.js';
-	// this happens in hwtr.codecs.js and throws when already registered
-	// Hwtr.registerFormat('cb', cbor);
-	// Hwtr.registerFormat('mp', msgpack);
+	import { formats } from './hwtr.formats.js';
+	Hwtr.registerFormat('cb', formats.cb);
+	Hwtr.registerFormat('mp', formats.mp);
 
 	// load or generate keys, 
 	const keys = await Hwtr.generateKeys();
@@ -718,24 +1909,32 @@ the only exception for a name mismatch is an empty value, which uses the default
 	const hwt_cb = await hwtr_cbor_tokens.create(123);
 
 	const hwtr_msgpack_tokens = await Hwtr.factory(keys, { format: 'mp' });
-	const hwt_mp = await hwtr_cbor_tokens.create(true);
+	const hwt_mp = await hwtr_msgpack_tokens.create(true);
 
 	// for format and codec encoder/decoder examples see the default JSON below
-	// hwtr.codecs.js has cbor and msgpack examples
+	// hwtr.formats.js has the cbor and msgpack codecs
 
 
 ```
 
  */
 	
-	static registerFormat(name='', codec) {
+	/* deprecated formats are verify only, verify returns formatDeprecated: true so tokens can be reissued
+	 * register the replacement with a new name, ie s2, and keep s1 as {deprecated: true} */
+	static registerFormat(name='', codec, {deprecated=false}={}) {
 		const errors = [];
 		if(Hwtr.#codecs[name]){
-			return new Error(`codec "${ name }" exists`);
+			return hwtrError('HWT_INVALID_CODEC', `codec "${ name }" exists`);
 		}
 		if(typeof codec?.encode !== 'function' || typeof codec?.decode !== 'function'){
 			errors.push(`missing method, encode() decode() required`);
 		}
+		if(codec?.encodeHidden !== undefined && typeof codec.encodeHidden !== 'function'){
+			errors.push(`encodeHidden() must be a function`);
+		}
+		if(codec?.validate !== undefined && typeof codec.validate !== 'function'){
+			errors.push(`validate() must be a function`);
+		}
 		if(!/^[a-zA-Z][a-zA-Z0-9]{1,9}$/.test(name)){
 			// exception for the default json codec 'j'
 			if(!(Hwtr.#codecs[name] === null && name === 'j')){
@@ -743,17 +1942,47 @@ the only exception for a name mismatch is an empty value, which uses the default
 			}
 		}
 		if(errors.length){
-			throw new Error(errors.join(`codec for format "${name}" failed: ${ errors.join('; ') }`));
+			throw hwtrError('HWT_INVALID_CODEC', errors.join(`codec for format "${name}" failed: ${ errors.join('; ') }`));
 		}
 
 		const frozenCodec = Object.freeze({...codec});
 		Hwtr.#codecs[name] = frozenCodec;
+		if(deprecated){
+			Hwtr.#deprecated.add(name);
+		}
 
 		return this;
 	}
 
+	/* an old format name decoded by another format, always deprecated
+	 * refresh and session renewal reissue these tokens with the format it names */
+	static registerAlias(alias='', name='') {
+		if(Hwtr.#codecs[alias]){
+			return hwtrError('HWT_INVALID_CODEC', `codec "${ alias }" exists`);
+		}
+		if(!/^[a-zA-Z][a-zA-Z0-9]{1,9}$/.test(alias)){
+			throw hwtrError('HWT_INVALID_CODEC', `alias "${ alias }" must have pattern [a-zA-Z][a-zA-Z0-9]{1,9}`);
+		}
+		const target = Hwtr.#aliases[name] ?? name;
+		if(!Hwtr.#codecs[target]){
+			throw hwtrError('HWT_UNKNOWN_FORMAT', `alias "${ alias }" for unknown format "${ name }"`);
+		}
+		Hwtr.#codecs[alias] = Hwtr.#codecs[target];
+		Hwtr.#aliases[alias] = target;
+		Hwtr.#deprecated.add(alias);
+		return this;
+	}
+
 	static get formats(){
 		return Object.keys(Hwtr.#codecs);
 	}
 
+	static get deprecatedFormats(){
+		return [...Hwtr.#deprecated];
+	}
+
+	static get formatAliases(){
+		return {...Hwtr.#aliases};
+	}
+
 };
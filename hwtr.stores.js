@@ -0,0 +1,100 @@
+/*
+ * stores for state used with HWT (Hash-based Web Tokens)
+ *
+ * @license
+ * Copyright 2025 Jim Montgomery
+ * SPDX-License-Identifier: Apache-2.0
+ *
+ *
+ * HWT are stateless, stores add state where it's needed like revoking tokens before they expire
+ * a store is a key-value map with expiring entries, any object with these methods works:
+
+	get(key) // returns the value or undefined when missing or expired
+	set(key, value, expires) // expires is UNIX time in seconds, like the token expiration, none when missing
+	add(key, value, expires) // atomic set if absent, true when added and false when it exists
+	                         // for one-time-use tokens, like Redis SET NX EX
+
+ * methods can return a Promise, so Redis, Cloudflare KV, Deno KV and similar work the same way
+ * MemoryStore is for a single process and tests
+ *
+
+```js
+	import Hwtr from './hwtr.js';
+	import { MemoryStore } from './hwtr.stores.js';
+
+	const hwtr = await Hwtr.factory(keys, {revocations: new MemoryStore()});
+	await hwtr.revoke(hwt); // by token
+	await hwtr.revoke(hwt, {by: 'jti'}); // by token id
+	await hwtr.revoke({subject: 'user-123'}); // all tokens for the subject issued until now
+	const result = await hwtr.verify(hwt);
+	// {ok: false, error: 'hwt revoked'}
+
+	// one-time-use tokens
+	const once = await Hwtr.factory(keys, {nonces: new MemoryStore()});
+	const state = await once.createWith(60 * 3, [nonce, ...params]);
+	const first = await once.verifyOnce(state);
+	// {ok: true, data: [nonce, ...params]}
+	const second = await once.verifyOnce(state);
+	// {ok: false, error: 'hwt replayed'}
+
+```
+ *
+ * */
+
+export class MemoryStore {
+	#entries = new Map();
+	#sweepAt = 0;
+	// seconds between removing all expired entries, otherwise removed when read
+	sweepSeconds = 60;
+
+	get nowSeconds(){
+		return Math.round(Date.now() / 1000);
+	}
+
+	get size(){
+		return this.#entries.size;
+	}
+
+	get(key){
+		const entry = this.#entries.get(key);
+		if(!entry){
+			return undefined;
+		}
+		if(entry.expires <= this.nowSeconds){
+			this.#entries.delete(key);
+			return undefined;
+		}
+		return entry.value;
+	}
+
+	set(key, value, expires){
+		this.#sweep();
+		// without expires entries are kept until deleted
+		this.#entries.set(key, {value, expires: Number(expires) || Infinity});
+		return true;
+	}
+
+	add(key, value, expires){
+		if(this.get(key) !== undefined){
+			return false;
+		}
+		return this.set(key, value, expires);
+	}
+
+	delete(key){
+		return this.#entries.delete(key);
+	}
+
+	#sweep(){
+		const now = this.nowSeconds;
+		if(now < this.#sweepAt){
+			return;
+		}
+		this.#sweepAt = now + this.sweepSeconds;
+		for(const [key, {expires}] of this.#entries){
+			if(expires <= now){
+				this.#entries.delete(key);
+			}
+		}
+	}
+};
@@ -2,6 +2,8 @@
 import { formats } from './hwtr.formats.js';
 
 const codecs = formats;
+// JSON based formats can't encode BigInt
+const jsonFormats = ['j', 'jz'];
 
 // Complex test object with all special types
 const testObj = {
@@ -144,14 +146,15 @@ function convertBigIntsToStrings(obj){
 };
 
 // Test function
-function testCodec(name, codec) {
+async function testCodec(name, codec) {
 	console.log(`\nTesting codec: ${name}`);
 	
-	const testObj = name === 'j' ? SAFE_testCases.basic :  testCases.basic;
+	const testObj = jsonFormats.includes(name) ? SAFE_testCases.basic :  testCases.basic;
 
-	// Measure encoding
+	// Measure encoding, async codecs like jz return a Promise
 	const start1 = performance.now();
-	const encoded = codec.encode(testObj);
+	let encoded = codec.encode(testObj);
+	if (encoded instanceof Promise) encoded = await encoded;
 	const end1 = performance.now();
 	
 	console.log(`Encode time: ${(end1 - start1).toFixed(3)} ms`);
@@ -159,7 +162,8 @@ function testCodec(name, codec) {
 	
 	// Measure decoding
 	const start2 = performance.now();
-	const decoded = codec.decode(encoded);
+	let decoded = codec.decode(encoded);
+	if (decoded instanceof Promise) decoded = await decoded;
 	const end2 = performance.now();
 	
 	console.log(`Decode time: ${(end2 - start2).toFixed(3)} ms`);
@@ -199,7 +203,7 @@ async function runBenchmark(_codecs_=codecs, iterations=7) {
 			roundTrip: {}
 		};
 
-		const _testCases_ = fmt === 'j' ? SAFE_testCases : testCases;
+		const _testCases_ = jsonFormats.includes(fmt) ? SAFE_testCases : testCases;
 		
 		for (const [caseName, testData] of Object.entries(_testCases_)) {
 			console.log(`  Case: ${caseName}`);
@@ -211,6 +215,7 @@ async function runBenchmark(_codecs_=codecs, iterations=7) {
 			for (let i = 0; i < iterations; i++) {
 				const encodeStart = performance.now();
 				encoded = codec.encode(testData);
+				if (encoded instanceof Promise) encoded = await encoded;
 				const encodeEnd = performance.now();
 				totalEncodeTime += (encodeEnd - encodeStart);
 			}
@@ -225,6 +230,7 @@ async function runBenchmark(_codecs_=codecs, iterations=7) {
 			for (let i = 0; i < iterations; i++) {
 				const decodeStart = performance.now();
 				decoded = codec.decode(encoded);
+				if (decoded instanceof Promise) decoded = await decoded;
 				const decodeEnd = performance.now();
 				totalDecodeTime += (decodeEnd - decodeStart);
 			}
@@ -333,13 +339,162 @@ function formatResults(results) {
 }
 
 
+// compare values by type like jx, BigInt, Date, Map, Set, TypedArray and ArrayBuffer
+function sameData(a, b){
+	if(typeof a !== typeof b || Object.prototype.toString.call(a) !== Object.prototype.toString.call(b)){
+		return false;
+	}
+	if(a instanceof Date){
+		return Object.is(a.getTime(), b.getTime());
+	}
+	if(a instanceof Map || a instanceof Set){
+		return sameData([...a], [...b]);
+	}
+	if(a instanceof ArrayBuffer){
+		return sameData(new Uint8Array(a), new Uint8Array(b));
+	}
+	if(ArrayBuffer.isView(a)){
+		return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+	}
+	if(a && typeof a === 'object'){
+		const keys = Object.keys(a);
+		return keys.length === Object.keys(b).length && keys.every(key => sameData(a[key], b[key]));
+	}
+	return Object.is(a, b);
+}
+
+const hex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+const bytes = (text) => new Uint8Array(text.match(/../g)?.map(byte => parseInt(byte, 16)) ?? []);
+
+Deno.test("CBOR cb round trips the jx types with smaller output than j and jx", async () => {
+	const { cb, j, jx } = codecs;
+	for (const [caseName, testData] of Object.entries(testCases)) {
+		const encoded = cb.encode(testData);
+		assert(encoded instanceof Uint8Array, `${ caseName } encodes to Uint8Array`);
+		assert(sameData(cb.decode(encoded), testData), `${ caseName } round trips`);
+		const jxSize = jx.encode(testData).byteLength;
+		const jSize = j.encode(SAFE_testCases[caseName]).byteLength;
+		console.log(`${ caseName } bytes cb ${ encoded.byteLength } jx ${ jxSize } j ${ jSize }`);
+		assert(encoded.byteLength < jxSize, `${ caseName } smaller than jx ${ encoded.byteLength } < ${ jxSize }`);
+		if (caseName === 'simple') {
+			// j drops the other types, ie Date, Map and Set become {}
+			assert(encoded.byteLength < jSize, `${ caseName } smaller than j ${ encoded.byteLength } < ${ jSize }`);
+		}
+	}
+
+	// values at the edges and RFC 8949 appendix A examples
+	const examples = [
+		[0, '00'], [24, '1818'], [1000000, '1a000f4240'], [1000000000000, '1b000000e8d4a51000'], [-1000, '3903e7'],
+		[1.1, 'fb3ff199999999999a'], [1.5, 'fa3fc00000'], [Infinity, 'f97c00'], [NaN, 'f97e00'],
+		[false, 'f4'], [null, 'f6'], [undefined, 'f7'], ['IETF', '6449455446'], ['ü', '62c3bc'],
+		[[1, [2, 3], [4, 5]], '8301820203820405'], [{ a: 1, b: [2, 3] }, 'a26161016162820203'],
+		[18446744073709551616n, 'c249010000000000000000'], [-18446744073709551617n, 'c349010000000000000000'],
+		[new Date(1363896240000), 'c11a514b67b0'], [new Date(1363896240500), 'c1fb41d452d9ec200000'],
+	];
+	for (const [value, expected] of examples) {
+		assert(hex(cb.encode(value)) === expected, `encodes ${ String(value) } as ${ expected } not ${ hex(cb.encode(value)) }`);
+		assert(sameData(cb.decode(bytes(expected)), value), `decodes ${ expected }`);
+	}
+	// decodes what other encoders write: half floats, indefinite lengths, string dates, maps with other keys
+	assert(cb.decode(bytes('f97bff')) === 65504, `half float`);
+	assert(cb.decode(bytes('7f657374726561646d696e67ff')) === 'streaming', `indefinite text`);
+	assert(sameData(cb.decode(bytes('bf61610161629f0203ffff')), { a: 1, b: [2, 3] }), `indefinite map and array`);
+	assert(cb.decode(bytes('c074323031332d30332d32315432303a30343a30305a')).getTime() === 1363896240000, `tag 0 date`);
+	assert(sameData(cb.decode(bytes('a201020304')), new Map([[1, 2], [3, 4]])), `map with number keys`);
+	assert(cb.decode(bytes('1bffffffffffffffff')) === 18446744073709551615n, `large integers are BigInt`);
+	assert(Object.is(cb.decode(cb.encode(-0)), -0), `negative zero`);
+	const proto = cb.decode(cb.encode(JSON.parse('{"__proto__":{"polluted":true}}')));
+	assert(Object.getPrototypeOf(proto) === Object.prototype && proto.__proto__.polluted === true, `__proto__ is an own property`);
+
+	for (const invalid of ['', '18', '1a0000', '5a00000010', '01ff', 'ff', '9f', 'd9010302']) {
+		let error;
+		try {
+			cb.decode(bytes(invalid));
+		} catch (e) {
+			error = e;
+		}
+		assert(error?.message.startsWith('CBOR decoding error'), `invalid ${ invalid || 'empty' } throws`);
+	}
+	const circular = {};
+	circular.self = circular;
+	let error;
+	try {
+		cb.encode(circular);
+	} catch (e) {
+		error = e;
+	}
+	assert(error?.message.includes('circular'), `circular references throw`);
+});
+
+Deno.test("MessagePack mp round trips the jx types with standard output", async () => {
+	const { mp, jx } = codecs;
+	for (const [caseName, testData] of Object.entries(testCases)) {
+		const encoded = mp.encode(testData);
+		assert(encoded instanceof Uint8Array, `${ caseName } encodes to Uint8Array`);
+		assert(sameData(mp.decode(encoded), testData), `${ caseName } round trips`);
+		const jxSize = jx.encode(testData).byteLength;
+		console.log(`${ caseName } bytes mp ${ encoded.byteLength } jx ${ jxSize }`);
+		assert(encoded.byteLength < jxSize, `${ caseName } smaller than jx ${ encoded.byteLength } < ${ jxSize }`);
+	}
+
+	// the spec formats, so other MessagePack decoders read them
+	const examples = [
+		[0, '00'], [127, '7f'], [128, 'cc80'], [65536, 'ce00010000'], [-1, 'ff'], [-33, 'd0df'], [-40000, 'd2ffff63c0'],
+		[1.5, 'ca3fc00000'], [1.1, 'cb3ff199999999999a'], [2 ** 40, 'cf0000010000000000'], [-(2 ** 40), 'd3ffffff0000000000'],
+		[Number.MAX_SAFE_INTEGER, 'cf001fffffffffffff'], [2 ** 60, 'ca5d800000'], [2 ** 53 + 2, 'cb4340000000000001'],
+		[null, 'c0'], [false, 'c2'], [true, 'c3'], ['a', 'a161'], ['x'.repeat(32), 'd920' + '78'.repeat(32)],
+		[[1, [2]], '92019102'], [{ a: 1 }, '81a16101'], [new Uint8Array([1, 2]).buffer, 'c4020102'],
+		[5n, 'd5010005'], [-5n, 'd5010105'], [2n ** 60n, 'cf1000000000000000'], [-(2n ** 60n), 'd3f000000000000000'],
+		// timestamp extension -1 in 32, 64 and 96 bits
+		[new Date(0), 'd6ff00000000'], [new Date(1500), 'd7ff7735940000000001'], [new Date(-1000), 'c70cff00000000ffffffffffffffff'],
+	];
+	for (const [value, expected] of examples) {
+		assert(hex(mp.encode(value)) === expected, `encodes ${ String(value) } as ${ expected } not ${ hex(mp.encode(value)) }`);
+		assert(sameData(mp.decode(bytes(expected)), value), `decodes ${ expected }`);
+	}
+	// extension types for Set, Map and typed arrays wrap standard data
+	assert(hex(mp.encode(new Set([1]))) === 'd5029101', `Set is extension 2 with an array`);
+	assert(hex(mp.encode(new Map([[1, 2]]))) === 'c703038101' + '02', `Map is extension 3 with a map`);
+	assert(hex(mp.encode(new Uint16Array([1, 256]))) === 'd6140100' + '0001', `Uint16Array is extension 20 little endian`);
+	assert(mp.decode(mp.encode(-(2n ** 70n))) === -(2n ** 70n), `BigInt beyond 64 bits`);
+	assert(mp.decode(bytes('cf0000000000000005')) === 5 && mp.decode(bytes('d3fffffffffffffffb')) === -5, `int 64 in the safe range is Number`);
+	assert(mp.decode(bytes('cfffffffffffffffff')) === 2n ** 64n - 1n, `int 64 beyond the safe range is BigInt`);
+	assert(sameData(mp.decode(bytes('82a16101a162c0')), { a: 1, b: null }), `nil is null`);
+	const sparse = { a: 1, b: undefined, c: [undefined], d: { e: undefined } };
+	assert(hex(mp.encode(sparse)) === '83a16101a16391c0a16480', `undefined members are skipped ${ hex(mp.encode(sparse)) }`);
+	assert(JSON.stringify(mp.decode(mp.encode(sparse))) === JSON.stringify(sparse) && !('b' in mp.decode(mp.encode(sparse))), `undefined members round trip like JSON`);
+	assert(sameData(mp.decode(bytes('820102a16103')), new Map([[1, 2], ['a', 3]])), `map with number keys`);
+	assert(mp.decode(bytes('de0001a16101')).a === 1 && mp.decode(bytes('dc000101'))[0] === 1, `16 bit maps and arrays`);
+	const date = new Date(2 ** 35 * 1000 + 5);
+	assert(mp.decode(mp.encode(date)).getTime() === date.getTime(), `96 bit timestamp`);
+	const proto = mp.decode(mp.encode(JSON.parse('{"__proto__":{"polluted":true}}')));
+	assert(Object.getPrototypeOf(proto) === Object.prototype && proto.__proto__.polluted === true, `__proto__ is an own property`);
+
+	for (const invalid of ['', 'cc', 'c1', 'd9ff', 'd401', 'c7010500', '0000']) {
+		let error;
+		try {
+			mp.decode(bytes(invalid));
+		} catch (e) {
+			error = e;
+		}
+		assert(error?.message.startsWith('MessagePack decoding error'), `invalid ${ invalid || 'empty' } throws`);
+	}
+	let error;
+	try {
+		mp.encode(new Date(NaN));
+	} catch (e) {
+		error = e;
+	}
+	assert(error?.message.includes('invalid Date'), `invalid dates throw`);
+});
+
 Deno.test("Quick Codec Performance Test", async () => {
 	// Run tests
 	console.log("=== Quick Codec Performance Test ===");
 	const results = {};
 
 	for (const [name, codec] of Object.entries(codecs)) {
-		results[name] = testCodec(name, codec);
+		results[name] = await testCodec(name, codec);
 	}
 
 	// Print comparison
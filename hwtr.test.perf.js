@@ -4,7 +4,7 @@
  * SPDX-License-Identifier: Apache-2.0
  * */
 import Hwtr from './hwtr.js';
-import { formats, codecJSON, codecJSONextended } from './hwtr.formats.js';
+import { formats, codecJSON, codecJSONextended, positionalFormat } from './hwtr.formats.js';
 for(const fmt in formats){
 	Hwtr.registerFormat(fmt, formats[fmt]);
 }
@@ -669,6 +669,116 @@ Deno.test('Hwtr performance comparison test', async () => {
 	console.log("Performance test completed");
 });
 
+Deno.test('Hwtr batch createMany and verifyMany throughput', async () => {
+	console.log('\n===== BATCH THROUGHPUT =====');
+	const keys = await Hwtr.generateKeys(2);
+	const hwtr = await Hwtr.factory(keys, {});
+	const other = await Hwtr.factory({ ...keys, current: keys.keys[1].id }, {});
+	const tokenCount = 1000;
+	const items = Array.from({ length: tokenCount }, (_, i) => ({ data: { id: i, name: "Test User", role: "admin" }, hidden: [i] }));
+
+	const loopCreateStart = performance.now();
+	const tokens = [];
+	for (const { data, hidden } of items) {
+		tokens.push(await hwtr.create(data, hidden));
+	}
+	const loopCreateTime = performance.now() - loopCreateStart;
+
+	const batchCreateStart = performance.now();
+	const batchTokens = await hwtr.createMany(items);
+	const batchCreateTime = performance.now() - batchCreateStart;
+
+	// mixed kids
+	for (let i = 0; i < tokenCount; i += 2) {
+		batchTokens[i] = await other.create(items[i].data, items[i].hidden);
+	}
+	const hiddenList = items.map(({ hidden }) => hidden);
+
+	const loopVerifyStart = performance.now();
+	const loopResults = [];
+	for (let i = 0; i < tokenCount; i++) {
+		loopResults.push(await hwtr.verify(batchTokens[i], hiddenList[i]));
+	}
+	const loopVerifyTime = performance.now() - loopVerifyStart;
+
+	const batchVerifyStart = performance.now();
+	const batchResults = await hwtr.verifyMany(batchTokens, hiddenList);
+	const batchVerifyTime = performance.now() - batchVerifyStart;
+
+	assert(loopResults.every(result => result.ok) && batchResults.every((result, i) => result.ok && result.data.id === i), `all verify in order`);
+	assert(batchResults.every((result, i) => JSON.stringify(result) === JSON.stringify(loopResults[i])), `batch results are the loop results`);
+
+	// keys are shared, a key provider without a cache is called per token in a loop and per kid in a batch
+	let lookups = 0;
+	const provided = await Hwtr.factory(Hwtr.generateKeys([{ id: 'local' }]), {
+		keyCacheSeconds: 0,
+		keyProvider: async (kid) => {
+			lookups++;
+			return keys.keys.find(key => key.id === kid);
+		}
+	});
+	const sample = batchTokens.slice(0, 100);
+	for (let i = 0; i < sample.length; i++) {
+		await provided.verify(sample[i], hiddenList[i]);
+	}
+	const loopLookups = lookups;
+	lookups = 0;
+	const providedResults = await provided.verifyMany(sample, hiddenList);
+	assert(providedResults.every(result => result.ok), `provided keys verify`);
+	assert(loopLookups === sample.length && lookups === 2, `key lookups loop ${ loopLookups } batch ${ lookups }`);
+
+	const perSecond = (time) => Math.round(tokenCount / time * 1000);
+	console.log(`Method          | Loop tokens/s | Batch tokens/s | Ratio`);
+	console.log(`create          | ${ String(perSecond(loopCreateTime)).padEnd(13) } | ${ String(perSecond(batchCreateTime)).padEnd(14) } | ${ (loopCreateTime / batchCreateTime).toFixed(2) }x`);
+	console.log(`verify          | ${ String(perSecond(loopVerifyTime)).padEnd(13) } | ${ String(perSecond(batchVerifyTime)).padEnd(14) } | ${ (loopVerifyTime / batchVerifyTime).toFixed(2) }x`);
+	console.log(`key lookups     | ${ String(loopLookups).padEnd(13) } | ${ String(lookups).padEnd(14) } | -`);
+	// concurrent WebCrypto work gains the most with more cores, timings are reported, not asserted
+	console.log('\n===== END OF BATCH THROUGHPUT =====');
+});
+
+Deno.test('Hwtr positional format token sizes', async () => {
+	console.log('\n===== POSITIONAL FORMAT TOKEN SIZES =====');
+	const fields = ['userId', 'role', 'claims', 'tenantId', 'issuedFor'];
+	// names unique across the test files, the format registry is shared
+	const registered = [
+		Hwtr.registerFormat('p5', positionalFormat(fields)),
+		Hwtr.registerFormat('p5cb', positionalFormat(fields, { codec: formats.cb })),
+		Hwtr.registerFormat('p5mp', positionalFormat(fields, { codec: formats.mp })),
+	];
+	assert(registered.every(result => !(result instanceof Error)), `formats registered ${ registered.find(result => result instanceof Error)?.message }`);
+	const keys = await Hwtr.generateKeys();
+	const payloads = {
+		small: { userId: 123, role: 'admin' },
+		typical: { userId: 'u-8f3a2c', role: 'editor', claims: ['read:posts', 'write:posts'], tenantId: 'acme', issuedFor: 'web' },
+		sparse: { userId: 'u-8f3a2c', tenantId: 'acme' },
+	};
+	const iterations = 500;
+	const sizes = {};
+	for (const format of ['j', 'cb', 'mp', 'p5', 'p5cb', 'p5mp']) {
+		const hwtr = await Hwtr.factory(keys, { format });
+		sizes[format] = {};
+		for (const [name, data] of Object.entries(payloads)) {
+			const token = await hwtr.create(data);
+			const result = await hwtr.verify(token);
+			assert(result.ok && result.data.userId === data.userId && result.data.role === data.role, `${ format } ${ name } round trips`);
+			sizes[format][name] = token.length;
+		}
+		const start = performance.now();
+		for (let i = 0; i < iterations; i++) {
+			await hwtr.verify(await hwtr.create(payloads.typical));
+		}
+		sizes[format]['create+verify ms'] = ((performance.now() - start) / iterations).toFixed(3);
+	}
+	console.table(sizes);
+	for (const name of Object.keys(payloads)) {
+		assert(sizes.p5[name] < sizes.j[name], `p5 ${ name } smaller than j ${ sizes.p5[name] } < ${ sizes.j[name] }`);
+		assert(sizes.p5cb[name] < sizes.cb[name], `p5cb ${ name } smaller than cb ${ sizes.p5cb[name] } < ${ sizes.cb[name] }`);
+	}
+	const saved = (format, base) => `${ ((1 - sizes[format].typical / sizes[base].typical) * 100).toFixed(1) }%`;
+	console.log(`typical payload: p5 is ${ saved('p5', 'j') } smaller than j, p5cb ${ saved('p5cb', 'cb') } smaller than cb, p5mp ${ saved('p5mp', 'mp') } smaller than mp`);
+	console.log('\n===== END OF POSITIONAL FORMAT TOKEN SIZES =====');
+});
+
 ///////// 
 
 Deno.test('Hwtr JX format performance comparison', async () => {